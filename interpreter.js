@@ -1,34 +1,384 @@
 /**
  * Type System - Handles C type information and conversions
- * Manages type sizes, floating point detection, const checking, and type casting
+ * Manages type sizes, floating point detection, const checking, and type casting.
+ * Types are structured {@link CType} objects built by the parser's declarator parser.
  */
 class TypeSystem {
+    /**
+     * Struct and union layouts registered by the running program, indexed by tag
+     * @type {Map<string, Object>}
+     */
+    static structs = new Map();
+
+    /**
+     * Enumerator values of each enum registered by the running program, indexed by tag
+     * @type {Map<string, Map<string, number>>}
+     */
+    static enums = new Map();
+
+    /**
+     * Names created with typedef, mapped to the type they stand for
+     * @type {Map<string, CType>}
+     */
+    static typedefs = new Map();
+
+    /**
+     * Forget every struct/union/enum/typedef defined by a previous program
+     */
+    static resetDefinitions() { this.structs = new Map(); this.enums = new Map(); this.typedefs = new Map([['va_list', CType.pointer(CType.base('char'))]]); }
+
+    static defineTypedef(name, type) { this.typedefs.set(name, type); }
+    /**
+     * Replace a typedef name in the outermost layer by the type it stands for ("const Idade" -> "const int").
+     * Inner layers keep their names: "Idade *" is still a pointer to Idade.
+     * @param {CType|null} type - A type that may be a typedef name
+     * @returns {CType|null} The same type, whose outermost layer is not a typedef name
+     */
+    static resolve(type) {
+        if (!type || type.kind !== 'base' || !this.typedefs.has(type.name)) return type;
+        return this.resolve(this.typedefs.get(type.name)).withQualifiers(type.qualifiers);
+    }
+    /**
+     * Name of the base type, with typedefs resolved ('int', 'unsigned char', 'struct Ponto'), or null for derived types
+     */
+    static baseName(type) {
+        type = this.resolve(type);
+        return type && type.kind === 'base' ? type.name : null;
+    }
+
     /**
      * Get the size in bytes for a given C type
-     * @param {string} typeStr - The type string (e.g., "int", "char*", "double")
+     * @param {CType|null} type - The type (e.g., int, char *, double[4])
      * @returns {number} Size in bytes
      */
-    static getSize(typeStr) {
-        if (!typeStr) return 4; // Proteção contra tipos indefinidos (ex: raw bytes)
-        if (typeStr.includes('*')) return 8;
-        if (typeStr.includes('double') || typeStr.includes('long long')) return 8;
-        if (typeStr.includes('int') || typeStr.includes('float') || typeStr.includes('long')) return 4;
-        if (typeStr.includes('short')) return 2;
-        if (typeStr.includes('char') || typeStr.includes('_Bool')) return 1;
-        return 4;
+    static getSize(type) {
+        type = this.resolve(type);
+        if (!type) return 4; // Proteção contra tipos indefinidos (ex: raw bytes)
+        if (type.kind === 'pointer') return 8;
+        if (type.kind === 'array') return (type.length || 0) * this.getSize(type.target);
+        if (type.kind === 'function') return 1;
+        if (this.isStruct(type)) return this.getStructLayout(type).byteSize;
+        if (this.isEnum(type)) return 4; // Enums são armazenados como int
+        switch (type.name) {
+            case 'char': case 'signed char': case 'unsigned char': case '_Bool': case 'void': return 1;
+            case 'short': case 'unsigned short': return 2;
+            case 'long long': case 'unsigned long long': case 'double': case 'long double': return 8;
+            default: return 4; // int, long e float
+        }
+    }
+    /**
+     * Alignment requirement of a type (scalars align to their own size, arrays to their elements)
+     * @param {CType} type - The type
+     * @returns {number} Alignment in bytes
+     */
+    static getAlignment(type) {
+        type = this.resolve(type);
+        if (type.kind === 'array') return this.getAlignment(type.target);
+        if (this.isStruct(type)) return this.getStructLayout(type).alignment;
+        return Math.min(this.getSize(type), 8);
+    }
+    static isFloat(type) {
+        return ['float', 'double', 'long double'].includes(this.baseName(type));
+    }
+    /**
+     * Whether the object itself is const (only the outermost layer counts:
+     * "const char *" is a modifiable pointer, "char * const" is not)
+     */
+    static isConst(type) {
+        type = this.resolve(type);
+        return type ? type.qualifiers.includes('const') : false;
+    }
+    static isUnsigned(type) {
+        const name = this.baseName(type);
+        return name ? name.startsWith('unsigned') || name === '_Bool' : this.isPointer(type);
+    }
+    static isFunctionPointer(type) {
+        type = this.resolve(type);
+        return !!type && type.kind === 'pointer' && this.resolve(type.target).kind === 'function';
+    }
+    /**
+     * Signature of a function pointer type such as "int (*)(const void *, const void *)"
+     * @param {CType} type - The function pointer type
+     * @returns {{returnType: CType, paramTypes: Array<CType>, isVariadic: boolean}} Its signature
+     */
+    static getFunctionSignature(type) {
+        const func = this.resolve(this.resolve(type).target);
+        return { returnType: func.target, paramTypes: func.params, isVariadic: func.isVariadic };
     }
-    static isFloat(typeStr) {
-        return typeStr ? (typeStr.includes('float') || typeStr.includes('double')) : false;
+    /**
+     * Whether two types are the same after resolving typedefs in every layer
+     * @param {CType} a - First type
+     * @param {CType} b - Second type
+     * @param {boolean} [loose=false] - Ignore qualifiers and signedness (used for pointer compatibility)
+     */
+    static sameType(a, b, loose = false) {
+        a = this.resolve(a); b = this.resolve(b);
+        if (!a || !b || a.kind !== b.kind) return false;
+        if (!loose && [...a.qualifiers].sort().join() !== [...b.qualifiers].sort().join()) return false;
+        switch (a.kind) {
+            case 'base': {
+                const name = t => loose ? t.name.replace(/^(un)?signed /, '') : t.name;
+                return name(a) === name(b);
+            }
+            case 'pointer': return this.sameType(a.target, b.target, loose);
+            case 'array': return a.length === b.length && this.sameType(a.target, b.target, loose);
+            default: return a.isVariadic === b.isVariadic && a.params.length === b.params.length &&
+                this.sameType(a.target, b.target, loose) && a.params.every((p, i) => this.sameType(p, b.params[i], loose));
+        }
+    }
+    /**
+     * Check whether a value of sourceType can be passed where targetType is expected
+     * (arithmetic types convert freely; pointers and structs must match)
+     * @param {CType} targetType - Declared type (e.g., a parameter)
+     * @param {CType|null} sourceType - Static type of the value, or null if unknown
+     * @returns {boolean} False only when the types are certainly incompatible
+     */
+    static isCompatible(targetType, sourceType) {
+        if (!targetType || !sourceType) return true;
+        if (this.isStruct(targetType) || this.isStruct(sourceType)) return this.sameType(targetType, sourceType, true);
+        if (this.isPointer(targetType) !== this.isPointer(sourceType)) return false;
+        if (!this.isPointer(targetType)) return true;
+        const isVoid = t => this.baseName(this.getPointeeType(t)) === 'void';
+        return this.sameType(targetType, sourceType, true) || isVoid(targetType) || isVoid(sourceType);
+    }
+    /**
+     * 64-bit integer types (long long), whose values are kept as BigInt to stay exact beyond 2^53
+     */
+    static is64BitInteger(type) {
+        return this.isArithmetic(type) && !this.isFloat(type) && !this.isEnum(type) && this.getSize(type) === 8;
+    }
+    /**
+     * Integer or floating type (the operands that take part in the usual arithmetic conversions)
+     */
+    static isArithmetic(type) {
+        type = this.resolve(type);
+        return !!type && type.kind === 'base' && !this.isStruct(type) && type.name !== 'void';
+    }
+    static isPointer(type) {
+        type = this.resolve(type);
+        return !!type && type.kind === 'pointer';
+    }
+    static isArray(type) {
+        type = this.resolve(type);
+        return !!type && type.kind === 'array';
+    }
+    /**
+     * Struct or union type (both are stored as a block and accessed through their address)
+     */
+    static isStruct(type) {
+        return /^(struct|union) /.test(this.baseName(type) || '');
+    }
+    static isUnion(type) {
+        return /^union /.test(this.baseName(type) || '');
+    }
+    static isEnum(type) {
+        return /^enum /.test(this.baseName(type) || '');
+    }
+    static defineEnum(tag, values) { this.enums.set(tag, values); }
+    /**
+     * Symbolic name of an enum value (e.g., 2 -> "BLUE"), or null if no enumerator has it
+     * @param {CType} type - The enum type (e.g., enum Cor)
+     * @param {number} value - The stored integer
+     * @returns {string|null}
+     */
+    static getEnumeratorName(type, value) {
+        const values = this.enums.get(this.baseName(type).slice('enum '.length));
+        if (!values) return null;
+        for (const [name, v] of values) if (v === value) return name;
+        return null;
     }
-    static isConst(typeStr) {
-        return typeStr ? typeStr.includes('const') : false;
+    /**
+     * Type reached by dereferencing a pointer or indexing an array ("int **" -> "int *", "int [3]" -> "int")
+     * @param {CType} type - A pointer or array type
+     * @returns {CType|null} The pointed-to (or element) type
+     */
+    static getPointeeType(type) {
+        type = this.resolve(type); // Ex: typedef int *IntPtr;
+        return type && (type.kind === 'pointer' || type.kind === 'array') ? type.target : null;
+    }
+    /**
+     * Conversion of arrays and functions used as values: "int [3][4]" -> "int (*)[4]", "int (int)" -> "int (*)(int)"
+     */
+    static decay(type) {
+        const resolved = this.resolve(type);
+        if (resolved && resolved.kind === 'array') return CType.pointer(resolved.target);
+        if (resolved && resolved.kind === 'function') return CType.pointer(resolved);
+        return type;
+    }
+    /**
+     * Array type with the given dimensions ("int" and [3, 4] -> "int [3][4]")
+     */
+    static arrayOf(elementType, dimensions) {
+        return dimensions.reduceRight((type, length) => CType.array(type, length), elementType);
     }
-    static cast(value, typeStr) {
+
+    /**
+     * Compute and register the memory layout of a struct or union, including padding
+     * @param {string} tag - The struct tag (e.g., "Ponto")
+     * @param {Array<Object>} members - Members in declaration order ({ name, type, dimensions })
+     * @param {boolean} isUnion - Unions place every member at offset 0 (shared storage)
+     * @returns {Object} Layout with fields (name, type, offset, byteSize), byteSize and alignment
+     */
+    static defineStruct(tag, members, isUnion = false) {
+        const fields = []; let offset = 0; let end = 0; let alignment = 1;
+        for (const member of members) {
+            const byteSize = this.getSize(member.type); const fieldAlignment = this.getAlignment(member.type);
+            const totalLength = member.dimensions.reduce((total, size) => total * size, 1);
+            if (!isUnion) offset = Math.ceil(offset / fieldAlignment) * fieldAlignment; // Padding antes do membro
+            fields.push({ name: member.name, type: member.type, offset, byteSize, isArray: member.dimensions.length > 0, dimensions: member.dimensions, totalLength });
+            end = Math.max(end, offset + byteSize * totalLength);
+            if (!isUnion) offset = end;
+            alignment = Math.max(alignment, fieldAlignment);
+        }
+        const layout = { tag, isUnion, fields, byteSize: Math.ceil(end / alignment) * alignment, alignment }; // Padding final
+        this.structs.set(tag, layout);
+        return layout;
+    }
+    static getStructLayout(type) {
+        const [kind, tag] = this.baseName(type).split(' ');
+        const layout = this.structs.get(tag);
+        if (!layout || layout.isUnion !== (kind === 'union')) {
+            throw new Error(`⚠️ TIPO INCOMPLETO: '${kind} ${tag}' foi usada antes de ser definida.\n` +
+                `💡 Dica: Defina o tipo (${kind} ${tag} { ... };) antes de declarar variáveis dele.`);
+        }
+        return layout;
+    }
+
+    /**
+     * Encode a value as the little-endian bytes of a type (as real hardware stores it)
+     * @param {number|bigint} value - The value (characters are their numeric codes)
+     * @param {CType} type - The type that defines size and representation
+     * @returns {Array<number>} One number (0-255) per byte
+     */
+    static encodeBytes(value, type) {
+        const size = this.getSize(type); const view = new DataView(new ArrayBuffer(8));
+        const num = Number(value);
+        if (this.isFloat(type)) {
+            if (size === 4) view.setFloat32(0, num, true); else view.setFloat64(0, num, true);
+        }
+        else if (size === 8) view.setBigUint64(0, BigInt.asUintN(64, typeof value === 'bigint' ? value : BigInt(Math.trunc(num))), true);
+        else if (size === 4) view.setInt32(0, num, true);
+        else if (size === 2) view.setInt16(0, num, true);
+        else view.setInt8(0, num);
+        return Array.from(new Uint8Array(view.buffer, 0, size));
+    }
+
+    /**
+     * Decode little-endian bytes as a value of the given type
+     * @param {Array<number>} bytes - The bytes, lowest address first
+     * @param {CType} type - The type used to interpret them
+     * @returns {number|bigint} The decoded value (BigInt for 64-bit integers)
+     */
+    static decodeBytes(bytes, type) {
+        const view = new DataView(new ArrayBuffer(8)); bytes.forEach((b, i) => view.setUint8(i, b));
+        const isUnsigned = this.isUnsigned(type), isPointer = this.isPointer(type);
+        if (this.isFloat(type)) return bytes.length === 4 ? view.getFloat32(0, true) : view.getFloat64(0, true);
+        if (bytes.length === 8) {
+            const value = isUnsigned && !isPointer ? view.getBigUint64(0, true) : view.getBigInt64(0, true);
+            return isPointer ? Number(value) : value; // Endereços continuam sendo números
+        }
+        if (bytes.length === 4) return isUnsigned ? view.getUint32(0, true) : view.getInt32(0, true);
+        if (bytes.length === 2) return isUnsigned ? view.getUint16(0, true) : view.getInt16(0, true);
+        return isUnsigned ? view.getUint8(0) : view.getInt8(0);
+    }
+    /**
+     * Bytes of a string literal as stored in a char array, without the terminator
+     * (UTF-8, like gcc: "Olá" occupies 4 bytes)
+     * @param {string} str - The literal text
+     * @returns {Array<number>} The character codes
+     */
+    static encodeString(str) { return Array.from(new TextEncoder().encode(str)); }
+    /**
+     * Read back the text of a sequence of char codes (the inverse of encodeString)
+     * @param {Array<number>} codes - Character codes, signed or unsigned
+     * @returns {string} The decoded text
+     */
+    static decodeString(codes) { return new TextDecoder().decode(new Uint8Array(codes.map(code => code & 0xFF))); }
+    /**
+     * Convert a value to a type as C does: integers wrap around to the width and signedness
+     * of the type, and float is rounded to single precision
+     * @param {*} value - The value to convert
+     * @param {CType|null} type - The target type
+     * @returns {*} The converted value
+     */
+    static cast(value, type) {
         if (value === null || value === undefined) return null;
-        if (!typeStr) return value; // Se for memória crua sem tipo, apenas aceita o valor
-        if (typeStr.includes('_Bool')) return (value !== 0 && value !== false) ? 1 : 0;
-        if (!this.isFloat(typeStr) && !typeStr.includes('*')) return Math.trunc(value);
-        return value;
+        if (!type) return value; // Se for memória crua sem tipo, apenas aceita o valor
+        if (!this.isArithmetic(type)) return this.isPointer(type) ? Number(value) : value; // Structs e arrays são manipulados pelo endereço
+        const name = this.baseName(type);
+        if (name === '_Bool') return (value !== 0 && value !== 0n && value !== false) ? 1 : 0;
+        if (this.isFloat(type)) return name === 'float' ? Math.fround(Number(value)) : Number(value);
+        return this.wrapInteger(typeof value === 'bigint' ? value : Math.trunc(value), this.getSize(type), this.isUnsigned(type));
+    }
+    /**
+     * Reduce an integer modulo 2^(8 * size), as a signed (two's complement) or unsigned value.
+     * 64-bit results are BigInt; narrower ones are numbers
+     */
+    static wrapInteger(value, size, unsigned) {
+        if (typeof value !== 'bigint' && !Number.isFinite(value)) return value;
+        if (size === 8) return unsigned ? BigInt.asUintN(64, BigInt(value)) : BigInt.asIntN(64, BigInt(value));
+        if (typeof value === 'bigint') return Number(unsigned ? BigInt.asUintN(size * 8, value) : BigInt.asIntN(size * 8, value));
+        const bits = size * 8;
+        if (bits === 32) return unsigned ? value >>> 0 : value | 0;
+        const wrapped = ((value % 2 ** bits) + 2 ** bits) % 2 ** bits;
+        return !unsigned && wrapped >= 2 ** (bits - 1) ? wrapped - 2 ** bits : wrapped;
+    }
+    /**
+     * Integer conversion rank: _Bool < char < short < int < long < long long
+     */
+    static getIntegerRank(type) {
+        const name = (this.baseName(type) || '').replace(/^(un)?signed /, '');
+        return { _Bool: 0, char: 1, short: 2, long: 4, 'long long': 5 }[name] ?? 3;
+    }
+    /**
+     * Integer promotion: in expressions, types narrower than int (char, short, _Bool, enums) become int
+     * @param {CType|null} type - The operand type
+     * @returns {CType|null} The promoted type, without qualifiers (non-integer types are returned unchanged)
+     */
+    static promote(type) {
+        if (!this.isArithmetic(type) || this.isFloat(type)) return type;
+        if (this.isEnum(type) || this.getIntegerRank(type) < 3) return CType.base('int');
+        return CType.base(this.baseName(type));
+    }
+    /**
+     * Usual arithmetic conversions: the common type in which a binary operator computes
+     * (e.g. int and unsigned int -> unsigned int, so -1 < 1u is false)
+     * @param {CType|null} leftType - Type of the left operand
+     * @param {CType|null} rightType - Type of the right operand
+     * @returns {CType} The common type
+     */
+    static commonType(leftType, rightType) {
+        const types = [leftType || CType.base('int'), rightType || CType.base('int')];
+        if (types.some(t => this.isFloat(t) && this.baseName(t) !== 'float')) return CType.base('double');
+        if (types.some(t => this.isFloat(t))) return CType.base('float');
+        const [left, right] = types.map(t => this.promote(t));
+        if (this.isUnsigned(left) === this.isUnsigned(right)) return this.getIntegerRank(left) >= this.getIntegerRank(right) ? left : right;
+        const [unsignedType, signedType] = this.isUnsigned(left) ? [left, right] : [right, left];
+        if (this.getIntegerRank(unsignedType) >= this.getIntegerRank(signedType)) return unsignedType;
+        if (this.getSize(signedType) > this.getSize(unsignedType)) return signedType; // long long representa todo unsigned int
+        return CType.base(`unsigned ${signedType.name}`);
+    }
+    /**
+     * Type of a numeric literal from its spelling: suffixes (u, l, ll, f) and, as in C, the first of
+     * int / long / long long that holds the value (hex and octal literals may also become unsigned)
+     * @param {number} value - The literal value
+     * @param {string} [raw] - The literal as written (absent for character literals, which are int)
+     * @returns {CType} The literal type
+     */
+    static getLiteralType(value, raw) {
+        if (!raw) return CType.base(Number.isInteger(value) ? 'int' : 'double');
+        const suffix = raw.match(/[uUlLfF]*$/)[0].toLowerCase();
+        const isHex = /^0[xX]/.test(raw);
+        if (!isHex && (/[.eE]/.test(raw) || suffix.includes('f'))) return CType.base(suffix.includes('f') ? 'float' : 'double');
+        const isUnsigned = suffix.includes('u'), allowUnsigned = isUnsigned || isHex || /^0[0-7bB]/.test(raw);
+        const longs = (suffix.match(/l/g) || []).length;
+        const candidates = ['int', 'long', 'long long'].slice(longs === 2 ? 2 : longs);
+        for (const base of candidates) {
+            const bits = this.getSize(CType.base(base)) * 8;
+            if (!isUnsigned && value <= 2 ** (bits - 1) - 1) return CType.base(base);
+            if (allowUnsigned && value <= 2 ** bits - 1) return CType.base(`unsigned ${base}`);
+        }
+        return CType.base(isUnsigned ? 'unsigned long long' : 'long long');
     }
 }
 
@@ -39,42 +389,149 @@ class TypeSystem {
 class MemoryManager {
     /**
      * Initialize memory segments with distinct address ranges
-     * Stack: 1000+, Heap: 5000+, RODATA: 10000+
+     * TEXT (functions): 100-999, Stack: 1000-4999, Heap: 5000-9999, RODATA: 10000-19999, DATA/BSS (globals): 20000-65535
      */
     constructor() {
-        this.ram = new Map();
-        this.stackPointer = 1000; this.heapPointer = 5000; this.rodataPointer = 10000;
+        this.textPointer = 100; this.stackPointer = 1000; this.heapPointer = 5000; this.rodataPointer = 10000; this.dataPointer = 20000;
+        // Início de cada segmento que guarda bytes (o segmento de código só dá endereços às funções)
+        this.segmentStarts = { stackPointer: 1000, heapPointer: 5000, rodataPointer: 10000, dataPointer: 20000 };
+        // Fim (exclusivo) de cada segmento: um segmento cheio é um erro, nunca invade o vizinho
+        this.segmentLimits = { textPointer: 1000, stackPointer: 5000, heapPointer: 10000, rodataPointer: 20000, dataPointer: 65536 };
+        this.stringLiterals = new Map(); // Texto do literal -> endereço em .rodata (cada literal é alocado uma só vez)
+        this.ram = new Uint8Array(32768); // Um byte por endereço, valores em little-endian
+        this.byteState = new Uint8Array(32768); // 0 = não mapeado, 1 = lixo, 2 = inicializado
         this.allocations = new Map();
+        this.functionAddresses = new Map(); // Nome da função -> endereço no segmento de código
     }
-    allocateStack(name, rawValue, typeStr) {
-        const byteSize = TypeSystem.getSize(typeStr);
-        const address = this.stackPointer; this.stackPointer += byteSize;
-        const castedValue = TypeSystem.cast(rawValue, typeStr);
-        this.ram.set(address, castedValue);
-        this.allocations.set(address, { region: 'STACK', name, type: typeStr, byteSize, active: true, isConst: TypeSystem.isConst(typeStr) });
+    /**
+     * Give a function its (stable) address in the simulated text segment
+     * @param {string} name - Function name
+     * @param {CType} type - The function type
+     * @returns {number} The function's address
+     */
+    allocateFunction(name, type) {
+        if (this.functionAddresses.has(name)) return this.functionAddresses.get(name);
+        const address = this.claim('textPointer', 16);
+        this.functionAddresses.set(name, address);
+        this.allocations.set(address, { region: 'TEXT', name, type, byteSize: 16, active: true, isFunction: true });
+        return address;
+    }
+    /**
+     * Reserve byteSize bytes on the stack or, for globals, in the data segment
+     * @param {number} byteSize - Number of bytes
+     * @param {string} region - 'STACK', 'DATA' or 'BSS'
+     * @returns {number} Start address
+     */
+    reserve(byteSize, region) {
+        const address = this.claim(region === 'STACK' ? 'stackPointer' : 'dataPointer', byteSize);
+        this.mapBytes(address, byteSize);
         return address;
     }
+    /**
+     * Advance a segment pointer by byteSize bytes, failing when the segment is full
+     * @param {string} pointer - 'textPointer', 'stackPointer', 'heapPointer', 'rodataPointer' or 'dataPointer'
+     * @returns {number} Start address of the claimed bytes
+     */
+    claim(pointer, byteSize) {
+        const address = this[pointer], limit = this.segmentLimits[pointer];
+        if (address + byteSize > limit) {
+            const [segment, hint] = {
+                textPointer: ['de código (.text)', 'O programa tem funções demais para o simulador.'],
+                stackPointer: ['da pilha (stack)', 'Arrays locais grandes ou recursão profunda esgotam a pilha; use malloc ou globais para dados grandes.'],
+                heapPointer: ['do heap', 'Libere com free() o que não for mais usado e confira o tamanho pedido ao malloc.'],
+                rodataPointer: ['de literais (.rodata)', 'O programa tem literais de string demais para o simulador.'],
+                dataPointer: ['de globais (.data/.bss)', 'Reduza o tamanho dos arrays globais.']
+            }[pointer];
+            throw new Error(`⚠️ SEGMENTO CHEIO: O segmento ${segment} termina no endereço ${limit - 1} e não tem espaço para mais ${byteSize} bytes.\n💡 Dica: ${hint}`);
+        }
+        this[pointer] += byteSize;
+        return address;
+    }
+    /**
+     * Make byteSize bytes addressable; they start as garbage until written
+     */
+    mapBytes(address, byteSize) {
+        if (address + byteSize > this.ram.length) {
+            let capacity = this.ram.length; while (capacity < address + byteSize) capacity *= 2;
+            const ram = new Uint8Array(capacity); ram.set(this.ram); this.ram = ram;
+            const byteState = new Uint8Array(capacity); byteState.set(this.byteState); this.byteState = byteState;
+        }
+        this.ram.fill(0, address, address + byteSize);
+        this.byteState.fill(1, address, address + byteSize);
+    }
+    unmapBytes(address, byteSize) { this.byteState.fill(0, address, address + byteSize); }
+    allocateStack(name, rawValue, type, region = 'STACK') {
+        if (TypeSystem.isStruct(type)) return this.allocateStruct(name, rawValue, type, region);
+        const byteSize = TypeSystem.getSize(type);
+        const address = this.reserve(byteSize, region);
+        const castedValue = TypeSystem.cast(rawValue, type);
+        // Globais sem inicializador começam zeradas; locais ficam com lixo
+        if (castedValue !== null) this.write(address, castedValue, type);
+        else if (region !== 'STACK') this.zeroFill(address, byteSize);
+        this.allocations.set(address, { region, name, type, byteSize, active: true, isConst: TypeSystem.isConst(type) });
+        return address;
+    }
+    /**
+     * Allocate a struct as a single stack block, keeping per-field metadata for the UI
+     * @param {string} name - Variable name
+     * @param {number|null} sourceAddress - Address of a struct to copy from (initialization by value)
+     * @param {CType} type - The struct type (e.g., "struct Ponto")
+     * @param {string} [region='STACK'] - Segment of the block ('STACK', 'DATA' or 'BSS')
+     * @returns {number} Start address of the block
+     */
+    allocateStruct(name, sourceAddress, type, region = 'STACK') {
+        const layout = TypeSystem.getStructLayout(type);
+        const address = this.reserve(layout.byteSize, region);
+        if (region !== 'STACK') this.zeroFill(address, layout.byteSize);
+        if (sourceAddress !== null && sourceAddress !== undefined) this.copyBlock(address, sourceAddress, layout.byteSize);
+        this.allocations.set(address, { region, name, type, isStruct: true, isUnion: layout.isUnion, fields: layout.fields, byteSize: layout.byteSize, active: true, isConst: TypeSystem.isConst(type) });
+        return address;
+    }
+    /**
+     * Set every uninitialized byte of a block to zero (static storage starts zeroed in C)
+     */
+    zeroFill(address, byteSize) {
+        for (let a = address; a < address + byteSize; a++) {
+            if (this.byteState[a] === 1) { this.ram[a] = 0; this.byteState[a] = 2; }
+        }
+    }
+    /**
+     * Copy byteSize bytes from src to dest (used for struct assignment and pass-by-value)
+     */
+    copyBlock(dest, src, byteSize) {
+        this.checkMapped(src, byteSize, 'leitura'); this.checkMapped(dest, byteSize, 'escrita');
+        this.ram.copyWithin(dest, src, src + byteSize);
+        this.byteState.copyWithin(dest, src, src + byteSize);
+    }
+    /**
+     * Swap two blocks of byteSize bytes (used by qsort)
+     */
+    swapBlock(a, b, byteSize) {
+        this.checkMapped(a, byteSize, 'escrita'); this.checkMapped(b, byteSize, 'escrita');
+        for (const bytes of [this.ram, this.byteState]) {
+            const tmp = bytes.slice(a, a + byteSize); bytes.copyWithin(a, b, b + byteSize); bytes.set(tmp, b);
+        }
+    }
     freeStackRange(start, end) {
+        this.unmapBytes(start, end - start);
         for (let a = start; a < end; a++) {
-            this.ram.delete(a);
             if (this.allocations.has(a)) this.allocations.get(a).active = false;
         }
         this.stackPointer = start;
     }
-    allocateArray(name, dimensions, totalLength, typeStr) {
-        const start = this.stackPointer; const byteSize = TypeSystem.getSize(typeStr);
-        for(let i = 0; i < totalLength; i++) this.ram.set(start + (i * byteSize), null);
-        this.stackPointer += (totalLength * byteSize);
-        this.allocations.set(start, { region: 'STACK', name, type: typeStr, isArray: true, dimensions, totalLength, byteSize, active: true, isConst: TypeSystem.isConst(typeStr) });
+    allocateArray(name, dimensions, totalLength, type, region = 'STACK') {
+        const byteSize = TypeSystem.getSize(type); const start = this.reserve(totalLength * byteSize, region);
+        if (region !== 'STACK') this.zeroFill(start, totalLength * byteSize);
+        this.allocations.set(start, { region, name, type, isArray: true, dimensions, totalLength, byteSize, active: true, isConst: TypeSystem.isConst(type) });
         return start;
     }
     allocateHeap(size) {
-        const start = this.heapPointer;
-        for (let i = 0; i < size; i++) this.ram.set(this.heapPointer++, null);
+        const start = this.claim('heapPointer', size);
+        this.mapBytes(start, size);
 
-        // A CORREÇÃO: Adicionando "type: 'void*'" para o motor não se perder na tipagem!
+        // A CORREÇÃO: Adicionando o tipo void * para o motor não se perder na tipagem!
         this.allocations.set(start, {
-            region: 'HEAP', name: `malloc(${size})`, type: 'void*',
+            region: 'HEAP', name: `malloc(${size})`, type: CType.pointer(CType.base('void')),
             isArray: true, dimensions: [size], totalLength: size,
             byteSize: 1, active: true
         });
@@ -82,28 +539,57 @@ class MemoryManager {
     }
     freeHeapRange(address) {
         const meta = this.allocations.get(address);
-        if (meta && meta.region === 'HEAP') { meta.active = false; for(let i = 0; i < meta.totalLength; i++) this.ram.delete(address + i); }
+        if (meta && meta.region === 'HEAP') { meta.active = false; this.unmapBytes(address, meta.totalLength); }
     }
     allocateStringLiteral(strValue) {
-        const start = this.rodataPointer;
-        for (let i = 0; i < strValue.length; i++) this.ram.set(this.rodataPointer++, strValue[i]);
-        this.ram.set(this.rodataPointer++, '\0'); // Null terminator (actual null character, not string "\\0")
-        this.allocations.set(start, { region: 'RODATA', name: `"${strValue}"`, type: 'char', isArray: true, dimensions: [strValue.length + 1], totalLength: strValue.length + 1, byteSize: 1, active: true });
+        // Literais iguais compartilham os bytes: um printf("...") num laço não cria cópias novas
+        if (this.stringLiterals.has(strValue)) return this.stringLiterals.get(strValue);
+        const codes = [...TypeSystem.encodeString(strValue), 0]; // Terminador nulo
+        const start = this.claim('rodataPointer', codes.length);
+        this.mapBytes(start, codes.length);
+        this.ram.set(codes, start); this.byteState.fill(2, start, start + codes.length); // write() recusa a .rodata
+        this.allocations.set(start, { region: 'RODATA', name: `"${strValue}"`, type: CType.base('char'), isArray: true, dimensions: [codes.length], totalLength: codes.length, byteSize: 1, active: true });
+        this.stringLiterals.set(strValue, start);
         return start;
     }
-    read(address) {
-        if (!this.ram.has(address)) {
-            const meta = this.getAllocationInfo(address);
-            throw new Error(`⚠️ SEGMENTATION FAULT: Tentativa de leitura no endereço ${address} (0x${address.toString(16).toUpperCase()})\n${meta}`);
+    /**
+     * Throw a segmentation fault if any byte of [address, address + byteSize) is not mapped
+     * @param {string} access - 'leitura' or 'escrita', for the message
+     */
+    checkMapped(address, byteSize, access) {
+        // Os literais são compartilhados: escrever em um mudaria todas as ocorrências do mesmo texto
+        if (access === 'escrita' && address < this.segmentLimits.rodataPointer && address + byteSize > this.segmentStarts.rodataPointer) {
+            throw new Error(`⚠️ SEGMENTATION FAULT: Tentativa de escrita no endereço ${address}, que pertence a um literal de string (.rodata, somente leitura).\n` +
+                '💡 Dica: Para alterar o texto, copie-o para um array: char s[] = "texto";');
         }
-        return this.ram.get(address);
-    }
-    write(address, value) {
-        if (!this.ram.has(address)) {
-            const meta = this.getAllocationInfo(address);
-            throw new Error(`⚠️ SEGMENTATION FAULT: Tentativa de escrita no endereço ${address} (0x${address.toString(16).toUpperCase()})\n${meta}`);
+        for (let a = address; a < address + byteSize; a++) {
+            if (!(a >= 0 && this.byteState[a])) {
+                const meta = this.getAllocationInfo(address);
+                throw new Error(`⚠️ SEGMENTATION FAULT: Tentativa de ${access} no endereço ${address} (0x${address.toString(16).toUpperCase()})\n${meta}`);
+            }
         }
-        this.ram.set(address, value);
+    }
+    /**
+     * Read the bytes at address as a value of the given type (little-endian, like real hardware)
+     * @param {number} address - Address of the first byte
+     * @param {CType} type - The type that defines size and representation
+     * @returns {number|null} The decoded value, or null if any byte is uninitialized (garbage)
+     */
+    read(address, type) {
+        const size = TypeSystem.getSize(type);
+        this.checkMapped(address, size, 'leitura');
+        if (this.byteState.subarray(address, address + size).some(state => state !== 2)) return null;
+        return TypeSystem.decodeBytes(Array.from(this.ram.subarray(address, address + size)), type);
+    }
+    /**
+     * Write a value at address using the representation of its type; null marks the bytes as garbage
+     */
+    write(address, value, type) {
+        const size = TypeSystem.getSize(type);
+        this.checkMapped(address, size, 'escrita');
+        if (value === null || value === undefined) { this.byteState.fill(1, address, address + size); return; }
+        this.ram.set(TypeSystem.encodeBytes(value, type), address);
+        this.byteState.fill(2, address, address + size);
     }
     getAllocationInfo(address) {
         let nearest = null;
@@ -125,15 +611,20 @@ class MemoryManager {
     }
 
     /**
-     * Create a deep snapshot of the current memory state
+     * Create a deep snapshot of the current memory state (only the used part of each segment is copied)
      * @returns {Object} Snapshot containing all memory state
      */
     createSnapshot() {
         return {
-            ram: new Map(this.ram),
+            segments: Object.entries(this.segmentStarts).map(([pointer, start]) => ({
+                start, bytes: this.ram.slice(start, this[pointer]), byteState: this.byteState.slice(start, this[pointer])
+            })),
+            capacity: this.ram.length,
             stackPointer: this.stackPointer,
             heapPointer: this.heapPointer,
             rodataPointer: this.rodataPointer,
+            dataPointer: this.dataPointer,
+            typedefs: new Map(TypeSystem.typedefs), // Typedefs locais deixam de existir no fim do bloco: voltar no tempo os traz de volta
             allocations: new Map(
                 Array.from(this.allocations.entries()).map(([addr, meta]) => [
                     addr,
@@ -148,10 +639,15 @@ class MemoryManager {
      * @param {Object} snapshot - The snapshot to restore
      */
     restoreSnapshot(snapshot) {
-        this.ram = new Map(snapshot.ram);
+        this.ram = new Uint8Array(snapshot.capacity); this.byteState = new Uint8Array(snapshot.capacity);
+        snapshot.segments.forEach(segment => {
+            this.ram.set(segment.bytes, segment.start); this.byteState.set(segment.byteState, segment.start);
+        });
         this.stackPointer = snapshot.stackPointer;
         this.heapPointer = snapshot.heapPointer;
         this.rodataPointer = snapshot.rodataPointer;
+        this.dataPointer = snapshot.dataPointer;
+        TypeSystem.typedefs = new Map(snapshot.typedefs);
         this.allocations = new Map(
             Array.from(snapshot.allocations.entries()).map(([addr, meta]) => [
                 addr,
@@ -173,14 +669,31 @@ class Environment {
     constructor(memory, parent = null) {
         this.memory = memory; this.symbols = new Map(); this.parent = parent;
         this.basePointer = this.memory.stackPointer;
+        this.returnSlots = new Map(); // Chamada → temporário que recebe a struct devolvida por valor
+        this.hiddenTypedefs = []; // [nome, tipo anterior] dos typedefs declarados neste bloco, desfeitos no fim dele
     }
-    define(name, value, type = 'int') { this.symbols.set(name, this.memory.allocateStack(name, value, type)); }
+    define(name, value, type = CType.base('int'), initialized = value !== null, isStatic = false) { this.bind(name, this.memory.allocateStack(name, value, type, this.regionFor(initialized, isStatic))); }
+    /**
+     * Associate a name with an address in this scope. When the name is already visible from an
+     * outer scope, the allocation records the address it hides (shadowing), for the memory panel
+     */
+    bind(name, address) {
+        const outer = this.parent !== null && this.parent.getAllVariableNames().includes(name) ? this.parent.resolveAddress(name) : null;
+        const meta = this.memory.allocations.get(address);
+        if (typeof outer === 'number' && meta) meta.shadows = outer;
+        this.symbols.set(name, address);
+    }
+    // O escopo global (sem pai) e os locais static vivem no segmento de dados: .data se inicializado, .bss se não
+    regionFor(initialized, isStatic = false) { return this.parent !== null && !isStatic ? 'STACK' : (initialized ? 'DATA' : 'BSS'); }
     get(name) {
         const symbolData = this.resolveAddress(name);
+        if (typeof symbolData === 'object' && symbolData.type === 'EnumConstant') return symbolData.value;
+        // O nome de uma função vale o seu endereço no segmento de código (ex: qsort(v, n, 4, compara))
+        if (typeof symbolData === 'object' && (symbolData.type === 'FunctionDeclaration' || symbolData.type === 'FunctionPrototype')) return this.memory.allocateFunction(name);
         if (typeof symbolData === 'object') return symbolData;
         const meta = this.memory.allocations.get(symbolData);
-        if (meta && meta.isArray) return symbolData;
-        return this.memory.read(symbolData);
+        if (meta && (meta.isArray || meta.isStruct)) return symbolData; // Arrays e structs são acessados pelo endereço
+        return this.memory.read(symbolData, meta.type);
     }
     resolveAddress(name) {
         if (this.symbols.has(name)) return this.symbols.get(name);
@@ -209,7 +722,20 @@ class Environment {
         }
         return matrix[b.length][a.length];
     }
-    destroy() { this.memory.freeStackRange(this.basePointer, this.memory.stackPointer); }
+    destroy() {
+        this.memory.freeStackRange(this.basePointer, this.memory.stackPointer);
+        this.hiddenTypedefs.reverse().forEach(([name, previous]) => previous ? TypeSystem.defineTypedef(name, previous) : TypeSystem.typedefs.delete(name));
+    }
+    mark() { return { stackPointer: this.memory.stackPointer, symbolCount: this.symbols.size }; }
+    /**
+     * Undoes the declarations made after a mark taken with {@link Environment#mark}.
+     * Used when a backward goto re-enters code that declared variables in this scope.
+     * @param {{stackPointer: number, symbolCount: number}} mark
+     */
+    rewind(mark) {
+        [...this.symbols.keys()].slice(mark.symbolCount).forEach(name => this.symbols.delete(name));
+        this.memory.freeStackRange(mark.stackPointer, this.memory.stackPointer);
+    }
 }
 
 /**
@@ -222,9 +748,12 @@ class IFSCeeInterpreter {
      */
     constructor(ast) {
         this.ast = ast; this.memory = new MemoryManager();
+        TypeSystem.resetDefinitions();
         this.globalScope = new Environment(this.memory);
         this.lastLine = null;
         this.callStack = []; // Track function call stack for better debugging
+        this.staticLocals = new Map(); // Declaration node -> address of its static local (allocated only once)
+        this.switchLabels = new Map(); // Switch node -> value of each case label (null for default), computed only once
         this.maxCallStackDepth = 1000; // Prevent infinite recursion
         this.registerBuiltIns();
     }
@@ -233,7 +762,8 @@ class IFSCeeInterpreter {
      * Register built-in functions (printf, malloc, free, etc.)
      */
     registerBuiltIns() {
-        this.globalScope.symbols.set('malloc', { type: 'BuiltIn', execute: function*(args, i) { return i.memory.allocateHeap(args[0]); } });
+        // Tamanhos calculados em long long (ex: n * sizeof(int)) chegam como BigInt
+        this.globalScope.symbols.set('malloc', { type: 'BuiltIn', execute: function*(args, i) { return i.memory.allocateHeap(Number(args[0])); } });
         this.globalScope.symbols.set('free', { type: 'BuiltIn', execute: function*(args, i) { i.memory.freeHeapRange(args[0]); return null; } });
 
         // --- O VERDADEIRO printf DO C! ---
@@ -242,14 +772,14 @@ class IFSCeeInterpreter {
 
                 // Função auxiliar para ler strings puras da RAM varrendo até achar o '\0'
                 const readStringFromRAM = (address) => {
-                    let str = '';
+                    const codes = [];
                     let currentAddr = address;
                     while (true) {
-                        const char = i.memory.read(currentAddr++);
-                        if (char === '\0' || char === null || char === undefined) break;
-                        str += char;
+                        const code = i.memory.read(currentAddr++, CType.base('char'));
+                        if (code === 0 || code === null) break;
+                        codes.push(code);
                     }
-                    return str;
+                    return TypeSystem.decodeString(codes);
                 };
 
                 // O primeiro argumento é sempre a string de formatação (que está gravada na RODATA)
@@ -262,22 +792,38 @@ class IFSCeeInterpreter {
 
                     // Interceta os especificadores de formato (%)
                     if (char === '%' && j + 1 < formatString.length) {
-                        const specifier = formatString[j + 1];
+                        // Modificadores de tamanho: %hhd (8 bits), %hd (16), %d e %ld (32), %lld (64)
+                        const modifier = formatString.slice(j + 1).match(/^(hh|h|ll|l)?/)[0];
+                        const specifier = formatString[j + 1 + modifier.length];
                         const value = args[argIndex] !== undefined ? args[argIndex] : 0;
+                        const integerSize = { hh: 1, h: 2, ll: 8 }[modifier] || 4;
+                        const integer = typeof value === 'bigint' ? value : BigInt(Number.isFinite(Number(value)) ? Math.trunc(Number(value)) : 0);
+                        const asInteger = (unsigned) => TypeSystem.wrapInteger(integer, integerSize, unsigned);
+                        j += modifier.length;
 
                         switch (specifier) {
                             case 'd':
                             case 'i':
-                                output += Math.trunc(value); // Inteiro
+                                output += asInteger(false); // Inteiro com sinal
+                                argIndex++; break;
+                            case 'u':
+                                output += asInteger(true); // Inteiro sem sinal
                                 argIndex++; break;
+                            case 'x':
+                            case 'X':
+                            case 'o': {
+                                const bits = asInteger(true).toString(specifier === 'o' ? 8 : 16); // Hexadecimal / octal
+                                output += specifier === 'X' ? bits.toUpperCase() : bits;
+                                argIndex++; break;
+                            }
                             case 'f':
                                 output += Number(value).toFixed(2); // Float com 2 casas
                                 argIndex++; break;
                             case 'c':
-                                output += typeof value === 'number' ? String.fromCharCode(value) : value; // Char
+                                output += TypeSystem.decodeString([Number(value)]); // Char (guardado como código)
                                 argIndex++; break;
                             case 's':
-                                output += typeof value === 'number' ? readStringFromRAM(value) : value; // String
+                                output += readStringFromRAM(value); // String (endereço do primeiro char)
                                 argIndex++; break;
                             case 'p':
                                 output += '0x' + Number(value).toString(16).toUpperCase(); // Ponteiro (Hexadecimal)
@@ -312,6 +858,44 @@ class IFSCeeInterpreter {
                 yield { type: 'TERMINAL_PRINT', output };
                 return output.length;
             }});
+
+        // memcpy copia bytes crus: o destino passa a ter exatamente a representação da origem
+        this.globalScope.symbols.set('memcpy', { type: 'BuiltIn', execute: function*(args, i) {
+            const [dest, src] = args, count = Number(args[2]);
+            i.memory.copyBlock(dest, src, count);
+            const memorySnapshot = i.memory.createSnapshot();
+            yield { type: 'MEM_UPDATE', memory: i.memory, memorySnapshot };
+            return dest;
+        }});
+
+        // --- qsort e bsearch: cada comparação é uma chamada visível à função do usuário ---
+        this.globalScope.symbols.set('qsort', { type: 'BuiltIn', execute: function*(args, i, node) {
+            const [base, , , cmpAddress] = args, count = Number(args[1]), size = Number(args[2]);
+            const cmp = i.comparatorAt(cmpAddress, 'qsort', node.line);
+            // Insertion sort: simples de acompanhar passo a passo no painel de memória
+            for (let j = 1; j < count; j++) {
+                for (let k = j; k > 0; k--) {
+                    const a = base + (k - 1) * size, b = base + k * size;
+                    if (Number(yield* i.invokeFunction(cmp, [a, b], node.line)) <= 0) break; // Um comparador long long devolve BigInt
+                    i.memory.swapBlock(a, b, size);
+                    const memorySnapshot = i.memory.createSnapshot();
+                    yield { type: 'MEM_UPDATE', memory: i.memory, memorySnapshot };
+                }
+            }
+            return null;
+        }});
+        this.globalScope.symbols.set('bsearch', { type: 'BuiltIn', execute: function*(args, i, node) {
+            const [key, base, , , cmpAddress] = args, count = Number(args[2]), size = Number(args[3]);
+            const cmp = i.comparatorAt(cmpAddress, 'bsearch', node.line);
+            let low = 0, high = count - 1;
+            while (low <= high) {
+                const mid = Math.floor((low + high) / 2);
+                const result = Number(yield* i.invokeFunction(cmp, [key, base + mid * size], node.line));
+                if (result === 0) return base + mid * size;
+                if (result < 0) high = mid - 1; else low = mid + 1;
+            }
+            return 0; // Não encontrado: NULL
+        }});
     }
 
     getFlatOffset(dimensions, indices, line) {
@@ -335,7 +919,7 @@ class IFSCeeInterpreter {
     *interpret() { try { yield* this.visit(this.ast, this.globalScope); } catch (e) { yield { type: 'ERROR', message: e.message, previousLine: this.lastLine }; } }
 
     *visit(node, env) {
-        const stepNodes = ['VariableDeclaration', 'ArrayDeclaration', 'AssignmentExpression', 'ReturnStatement', 'CallExpression', 'IfStatement', 'WhileStatement', 'ForStatement', 'DoWhileStatement', 'BreakStatement', 'ContinueStatement'];
+        const stepNodes = ['VariableDeclaration', 'ArrayDeclaration', 'AssignmentExpression', 'ReturnStatement', 'CallExpression', 'IfStatement', 'WhileStatement', 'ForStatement', 'DoWhileStatement', 'SwitchStatement', 'GotoStatement', 'BreakStatement', 'ContinueStatement'];
         if (stepNodes.includes(node.type)) {
             // Create snapshot BEFORE executing the step
             const memorySnapshot = this.memory.createSnapshot();
@@ -346,20 +930,42 @@ class IFSCeeInterpreter {
         switch (node.type) {
             case 'Program': return yield* this.visitProgram(node, env);
             case 'FunctionDeclaration': return yield* this.visitFunctionDeclaration(node, env);
+            case 'FunctionPrototype': return yield* this.visitFunctionPrototype(node, env);
+            case 'StructDeclaration': return yield* this.visitStructDeclaration(node, env);
+            case 'EnumDeclaration': return yield* this.visitEnumDeclaration(node, env);
+            case 'TypedefDeclaration': return yield* this.visitTypedefDeclaration(node, env);
             case 'VariableDeclaration': return yield* this.visitVariableDeclaration(node, env);
+            case 'DeclarationList': for (const d of node.declarations) yield* this.visit(d, env); return null;
             case 'ArrayDeclaration': return yield* this.visitArrayDeclaration(node, env);
             case 'AssignmentExpression': return yield* this.visitAssignment(node, env);
             case 'UnaryExpression': return yield* this.visitUnary(node, env);
+            case 'CastExpression': return yield* this.visitCast(node, env);
             case 'IndexExpression': return yield* this.visitIndex(node, env);
+            case 'MemberExpression': return yield* this.visitMember(node, env);
             case 'CallExpression': return yield* this.visitCall(node, env);
             case 'BinaryExpression': return yield* this.visitBinary(node, env);
+            case 'ConditionalExpression': {
+                // Só o ramo escolhido é avaliado
+                const test = yield* this.visit(node.test, env);
+                return yield* this.visit(this.isTrue(test) ? node.consequent : node.alternate, env);
+            }
+            case 'CommaExpression': {
+                let value = null;
+                for (const expr of node.expressions) value = yield* this.visit(expr, env);
+                return value;
+            }
             case 'ReturnStatement': return yield* this.visitReturn(node, env);
             case 'IfStatement': return yield* this.visitIf(node, env);
             case 'WhileStatement': return yield* this.visitWhile(node, env);
             case 'DoWhileStatement': return yield* this.visitDoWhile(node, env);
             case 'ForStatement': return yield* this.visitFor(node, env);
+            case 'SwitchStatement': return yield* this.visitSwitch(node, env);
             case 'BreakStatement': return { type: 'BREAK' };
             case 'ContinueStatement': return { type: 'CONTINUE' };
+            case 'GotoStatement': return { type: 'GOTO', label: node.label, line: node.line };
+            case 'LabeledStatement': return node.body ? yield* this.visit(node.body, env) : null;
+            case 'BlockStatement': return yield* this.visitBlockStatement(node, env);
+            case 'EmptyStatement': return null;
             case 'Literal': return this.visitLiteral(node);
             case 'Identifier': return env.get(node.name);
             default: throw new Error(`Nó AST não implementado: ${node.type}`);
@@ -367,10 +973,11 @@ class IFSCeeInterpreter {
     }
 
     *visitProgram(node, env) {
-        for (const s of node.body) if (s.type === 'FunctionDeclaration') yield* this.visit(s, env);
+        // Definições e variáveis globais são processadas na ordem do código, antes de main
+        for (const s of node.body) yield* this.visit(s, env);
         let main;
         try {
-            main = env.get('main');
+            main = env.resolveAddress('main');
         } catch (e) {
             throw new Error("⚠️ ERRO FATAL: Função 'main' não encontrada.\n" +
                 "💡 Dica: Todo programa C deve ter uma função 'int main() { ... }' como ponto de entrada.");
@@ -380,32 +987,180 @@ class IFSCeeInterpreter {
                 "💡 Dica: Declare main corretamente: int main() { ... }");
         }
         const r = yield* this.visitBlock(main.body, new Environment(this.memory, env));
-        const exitCode = (r && r.type === 'RETURN') ? r.value : 0;
+        this.checkUnresolvedGoto(r);
+        const exitCode = (r && r.type === 'RETURN' && r.value !== null) ? TypeSystem.cast(r.value, CType.base('int')) : 0; // Sem return, main devolve 0
         yield { type: 'PROGRAM_END', exitCode: exitCode, previousLine: this.lastLine, memory: this.memory };
         return exitCode;
     }
 
-    *visitFunctionDeclaration(node, env) { env.symbols.set(node.name, node); return null; }
+    *visitFunctionDeclaration(node, env) {
+        const previous = env.symbols.get(node.name);
+        if (previous && previous.type === 'FunctionPrototype') this.checkPrototypeMatch(previous, node);
+        env.symbols.set(node.name, node); this.memory.allocateFunction(node.name, this.functionType(node));
+        yield* this.checkSwitchLabels(node, env); // Um case duplicado é erro mesmo num switch que nunca executa
+        return null;
+    }
+
+    *visitFunctionPrototype(node, env) {
+        const previous = env.symbols.get(node.name);
+        if (previous && (previous.type === 'FunctionPrototype' || previous.type === 'FunctionDeclaration')) {
+            this.checkPrototypeMatch(node, previous);
+            if (previous.type === 'FunctionDeclaration') return null; // A definição já existe
+        }
+        env.symbols.set(node.name, node); this.memory.allocateFunction(node.name, this.functionType(node)); return null;
+    }
+
+    // Tipo de uma função declarada: int (int, int), char *(const char *, ...)
+    functionType(func) { return CType.func(func.returnType, func.params.map(p => p.type), func.isVariadic); }
+
+    /**
+     * Evaluate the array lengths that the parser kept as expressions inside a type
+     * (int (*p)[N] with N an enum constant or const variable), so sizes and strides are known
+     * @param {CType} type - A type from the parser
+     * @returns {CType} The same type, with every array length computed
+     */
+    *completeType(type, env) {
+        switch (type.kind) {
+            case 'pointer': {
+                const target = yield* this.completeType(type.target, env);
+                return target === type.target ? type : CType.pointer(target, type.qualifiers);
+            }
+            case 'array': {
+                const target = yield* this.completeType(type.target, env);
+                if (type.length !== null || !type.lengthExpression) return target === type.target ? type : CType.array(target, type.length);
+                return CType.array(target, Math.trunc(Number(yield* this.visit(type.lengthExpression, env))));
+            }
+            default: return type;
+        }
+    }
+    formatSignature(func) { return this.functionType(func).toString(func.name); }
+
+    checkPrototypeMatch(prototype, other) {
+        if (!TypeSystem.sameType(this.functionType(prototype), this.functionType(other))) {
+            throw new Error(`[Linha ${other.line}] ⚠️ TIPOS CONFLITANTES: '${other.name}' foi declarada como '${this.formatSignature(prototype)}' na linha ${prototype.line}, mas aqui é '${this.formatSignature(other)}'.\n` +
+                "💡 Dica: O protótipo e a definição da função devem ter o mesmo tipo de retorno e os mesmos parâmetros.");
+        }
+    }
+
+    checkCallArguments(func, node, env) {
+        // Funções variádicas exigem só os parâmetros nomeados; o resto vai para '...' sem conferência de tipo
+        if (func.isVariadic ? node.arguments.length < func.params.length : node.arguments.length !== func.params.length) {
+            throw new Error(`[Linha ${node.line}] ⚠️ NÚMERO DE ARGUMENTOS INCORRETO: '${func.name}' espera ${func.isVariadic ? 'ao menos ' : ''}${func.params.length} argumento(s), mas recebeu ${node.arguments.length}.\n` +
+                `💡 Dica: A função foi declarada como '${this.formatSignature(func)}'.`);
+        }
+        node.arguments.slice(0, func.params.length).forEach((arg, i) => {
+            const paramType = func.params[i].type, argType = this.getExpressionType(arg, env);
+            if (!(this.isNullPointerConstant(arg) && TypeSystem.isPointer(paramType)) && !TypeSystem.isCompatible(paramType, argType)) {
+                throw new Error(`[Linha ${node.line}] ⚠️ TIPO DE ARGUMENTO INCOMPATÍVEL: O ${i + 1}º argumento de '${func.name}' é '${argType}', mas o parâmetro espera '${paramType}'.\n` +
+                    `💡 Dica: A função foi declarada como '${this.formatSignature(func)}'.`);
+            }
+        });
+    }
+
+    *visitStructDeclaration(node, env) {
+        const members = [];
+        for (const member of node.members) {
+            const dimensions = [];
+            for (const expr of member.sizeExpressions) dimensions.push(yield* this.visit(expr, env));
+            members.push({ name: member.name, type: yield* this.completeType(member.type, env), dimensions });
+        }
+        TypeSystem.defineStruct(node.tag, members, node.kind === 'union');
+        if (node.declaration) return yield* this.visit(node.declaration, env);
+        return null;
+    }
+
+    *visitTypedefDeclaration(node, env) {
+        if (node.definition) yield* this.visit(node.definition, env);
+        if (env !== this.globalScope) env.hiddenTypedefs.push([node.name, TypeSystem.typedefs.get(node.name)]); // Typedef local vale até o fim do bloco
+        TypeSystem.defineTypedef(node.name, yield* this.completeType(node.aliasedType, env));
+        return null;
+    }
+
+    *visitEnumDeclaration(node, env) {
+        const values = new Map(); let nextValue = 0;
+        for (const enumerator of node.enumerators) {
+            // Cada enumerador já pode ser usado no valor dos seguintes (ex: B = A + 10)
+            const value = enumerator.valueExpression ? Math.trunc(yield* this.visit(enumerator.valueExpression, env)) : nextValue;
+            env.symbols.set(enumerator.name, { type: 'EnumConstant', name: enumerator.name, value });
+            values.set(enumerator.name, value);
+            nextValue = value + 1;
+        }
+        TypeSystem.defineEnum(node.tag, values);
+        if (node.declaration) return yield* this.visit(node.declaration, env);
+        return null;
+    }
 
-    *visitBlock(statements, env) {
-        for (const s of statements) {
-            const r = yield* this.visit(s, env);
+    *visitBlock(statements, env, startIndex = 0) {
+        // Só guardamos marcas de pilha quando o bloco tem rótulos (destino possível de goto)
+        const marks = statements.some(s => s.type === 'LabeledStatement') ? [] : null;
+        let i = startIndex;
+        while (i < statements.length) {
+            if (marks) marks[i] = env.mark();
+            const r = yield* this.visit(statements[i], env);
+            if (r && r.type === 'GOTO') {
+                const target = this.findLabelIndex(statements, r.label);
+                if (target === -1) return r; // O rótulo está em um bloco externo: sai deste escopo
+                if (marks && marks[target]) env.rewind(marks[target]); // Goto para trás desfaz as declarações seguintes
+                i = target; continue;
+            }
             if (r && (r.type === 'RETURN' || r.type === 'BREAK' || r.type === 'CONTINUE')) return r;
+            i++;
         }
         return null;
     }
 
+    // { ... } aninhado: as variáveis declaradas dentro deixam de existir no '}'
+    *visitBlockStatement(node, env) {
+        const blockEnv = new Environment(this.memory, env); const r = yield* this.visitBlock(node.body, blockEnv); blockEnv.destroy();
+        return r;
+    }
+
+    findLabelIndex(statements, label) {
+        return statements.findIndex(s => {
+            for (let n = s; n && n.type === 'LabeledStatement'; n = n.body) if (n.label === label) return true;
+            return false;
+        });
+    }
+
+    checkUnresolvedGoto(result) {
+        if (result && result.type === 'GOTO') {
+            throw new Error(`⚠️ GOTO NÃO SUPORTADO [Linha ${result.line}]: O rótulo '${result.label}' está dentro de um bloco que não contém este goto.\n` +
+                "💡 Dica: O IFSCee só permite saltar para rótulos do mesmo bloco ou de blocos externos (ex: 'goto cleanup;' no fim da função).");
+        }
+    }
+
     *visitVariableDeclaration(node, env) {
-        let val = null; if (node.initExpression) val = yield* this.visit(node.initExpression, env);
-        env.define(node.name, val, node.varType);
+        if ((env === this.globalScope || node.isStatic) && node.initExpression && !this.isStaticInitializer(node.initExpression, env)) {
+            throw this.nonConstantInitializerError(node, env, `A variável ${env === this.globalScope ? 'global' : 'static'} '${node.name}' deve ser inicializada com uma constante.`);
+        }
+        if (this.rebindStaticLocal(node, env)) return null;
+        const varType = yield* this.completeType(node.varType, env);
+        if (node.initExpression && node.initExpression.type === 'InitializerList') {
+            // struct Ponto p = {1, 2}; / {.x = 1}: membros não citados começam zerados
+            env.define(node.name, null, varType, true, node.isStatic);
+            const address = env.symbols.get(node.name);
+            this.memory.zeroFill(address, TypeSystem.getSize(varType));
+            yield* this.initializeObject({ address, type: varType, dims: [] }, node.initExpression, env);
+        } else {
+            let val = null; if (node.initExpression) val = yield* this.visit(node.initExpression, env);
+            env.define(node.name, val, varType, val !== null, node.isStatic);
+        }
+        if (node.isStatic) this.registerStaticLocal(node, env);
         const memorySnapshot = this.memory.createSnapshot();
         yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot }; return null;
     }
 
     *visitArrayDeclaration(node, env) {
+        if ((env === this.globalScope || node.isStatic) && node.initializer && !this.isStaticInitializer(node.initializer, env)) {
+            throw this.nonConstantInitializerError(node, env, `O array ${env === this.globalScope ? 'global' : 'static'} '${node.name}' deve ser inicializado com constantes.`);
+        }
+        if (this.rebindStaticLocal(node, env)) return null;
+        const varType = yield* this.completeType(node.varType, env);
         const dimensions = []; let totalLength = 1;
-        for (let expr of node.sizeExpressions) {
-            const size = yield* this.visit(expr, env);
+        for (let d = 0; d < node.sizeExpressions.length; d++) {
+            const expr = node.sizeExpressions[d];
+            // int v[] = {...}: o tamanho da primeira dimensão vem do inicializador
+            const size = expr === null ? yield* this.inferArrayLength(node, env) : yield* this.visit(expr, env);
             if(size <= 0) {
                 throw new Error(`[Linha ${node.line}] ⚠️ TAMANHO DE ARRAY INVÁLIDO: O tamanho deve ser um número inteiro positivo.\n` +
                     `Valor recebido: ${size}\n` +
@@ -413,172 +1168,1041 @@ class IFSCeeInterpreter {
             }
             dimensions.push(size); totalLength *= size;
         }
-        env.symbols.set(node.name, this.memory.allocateArray(node.name, dimensions, totalLength, node.varType));
+        const address = this.memory.allocateArray(node.name, dimensions, totalLength, varType, env.regionFor(!!node.initializer, node.isStatic));
+        env.bind(node.name, address);
+        if (node.initializer) {
+            // Com inicializador, os elementos não citados são zerados (mesmo em arrays locais)
+            this.memory.zeroFill(address, totalLength * TypeSystem.getSize(varType));
+            yield* this.initializeObject({ address, type: varType, dims: dimensions }, node.initializer, env);
+        }
+        if (node.isStatic) this.registerStaticLocal(node, env);
         const memorySnapshot = this.memory.createSnapshot();
         yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot }; return null;
     }
 
+    /**
+     * Deduce the first dimension of "T v[] = init" from the initializer
+     * (string length + 1, or the number of elements the list covers, with designators and brace elision)
+     */
+    *inferArrayLength(node, env) {
+        const subDims = [];
+        for (let d = 1; d < node.sizeExpressions.length; d++) subDims.push(yield* this.visit(node.sizeExpressions[d], env));
+        const element = { address: 0, type: node.varType, dims: subDims };
+        const init = node.initializer;
+        if (subDims.length === 0 && this.isCharArrayFromString({ ...element, dims: [0] }, init)) return TypeSystem.encodeString(init.value).length + 1;
+        if (init.type !== 'InitializerList') {
+            throw new Error(`[Linha ${node.line}] ⚠️ INICIALIZADOR INVÁLIDO: Arrays devem ser inicializados com uma lista entre chaves, ex: int v[] = {1, 2, 3};`);
+        }
+        const perElement = this.isAggregate(element) ? this.countScalars(element) : 1;
+        let pos = 0, filled = 0, length = 0; // filled: escalares já postos no elemento atual (elisão de chaves)
+        for (const el of init.elements) {
+            if (el.designators.length > 0) {
+                if (el.designators[0].kind !== 'index') throw this.designatorError(node.line, "'.campo' só pode ser usado em structs.");
+                filled = 0; pos = Math.trunc(yield* this.visit(el.designators[0].index, env)) + 1;
+            } else if (perElement === 1 || el.value.type === 'InitializerList' || this.isCharArrayFromString(element, el.value)) {
+                if (filled) { pos++; filled = 0; }
+                pos++;
+            } else if (++filled === perElement) {
+                pos++; filled = 0;
+            }
+            length = Math.max(length, filled ? pos + 1 : pos);
+        }
+        return length;
+    }
+
+    countScalars(obj) {
+        if (!this.isAggregate(obj)) return 1;
+        const children = this.aggregateChildren(obj);
+        if (obj.dims.length > 0) return children.length * this.countScalars(children[0]);
+        if (TypeSystem.isUnion(obj.type)) return this.countScalars(children[0]); // Só o primeiro membro
+        return children.reduce((total, child) => total + this.countScalars(child), 0);
+    }
+
+    isAggregate(obj) { return obj.dims.length > 0 || TypeSystem.isStruct(obj.type); }
+
+    isCharArrayFromString(obj, init) {
+        return obj.dims.length === 1 && init.type === 'Literal' && init.rawType === 'STRING' && ['char', 'signed char', 'unsigned char'].includes(TypeSystem.baseName(obj.type));
+    }
+
+    /**
+     * Sub-objects of an aggregate being initialized: array elements or struct/union members
+     * @param {{address: number, type: string, dims: Array<number>}} obj - The aggregate
+     * @returns {Array<Object>} Child descriptors in declaration order (members carry their name)
+     */
+    aggregateChildren(obj) {
+        if (obj.dims.length > 0) {
+            const subDims = obj.dims.slice(1);
+            const stride = subDims.reduce((a, b) => a * b, 1) * TypeSystem.getSize(obj.type);
+            return Array.from({ length: obj.dims[0] }, (_, i) => ({ address: obj.address + i * stride, type: obj.type, dims: subDims }));
+        }
+        const layout = TypeSystem.getStructLayout(obj.type);
+        return layout.fields.map(f => ({ address: obj.address + f.offset, type: f.type, dims: f.isArray ? f.dimensions : [], name: f.name }));
+    }
+
+    /**
+     * Initialize an object (scalar, array or struct) from an expression or a brace list,
+     * emitting a MEM_UPDATE for every element written
+     */
+    *initializeObject(obj, init, env) {
+        if (init.type === 'InitializerList') return yield* this.initializeBraced(obj, init, env);
+        if (this.isCharArrayFromString(obj, init)) {
+            // char s[] = "abc": o código de cada caractere (e o '\0', se couber) vai para o array
+            const codes = [...TypeSystem.encodeString(init.value), 0].slice(0, obj.dims[0]);
+            for (let i = 0; i < codes.length; i++) {
+                this.memory.write(obj.address + i, codes[i], CType.base('char'));
+                const memorySnapshot = this.memory.createSnapshot();
+                yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot };
+            }
+            return;
+        }
+        if (this.isAggregate(obj)) {
+            if (obj.dims.length === 0 && TypeSystem.isStruct(this.getExpressionType(init, env))) {
+                this.memory.copyBlock(obj.address, yield* this.visit(init, env), TypeSystem.getSize(obj.type));
+            } else {
+                // Valor sem chaves para um agregado inicializa o seu primeiro elemento
+                return yield* this.initializeBraced(obj, { type: 'InitializerList', elements: [{ designators: [], value: init }], line: init.line }, env);
+            }
+        } else {
+            this.memory.write(obj.address, TypeSystem.cast(yield* this.visit(init, env), obj.type), obj.type);
+        }
+        const memorySnapshot = this.memory.createSnapshot();
+        yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot };
+    }
+
+    *initializeBraced(obj, list, env) {
+        if (!this.isAggregate(obj)) {
+            // int x = {5};
+            if (list.elements.length !== 1 || list.elements[0].designators.length > 0) throw this.excessInitializerError(list.line);
+            return yield* this.initializeObject(obj, list.elements[0].value, env);
+        }
+        yield* this.fillAggregate(obj, list.elements, { index: 0 }, env, true, list.line);
+    }
+
+    /**
+     * Fill the children of obj from elements[state.index...]. Without braces (brace elision) a
+     * sub-aggregate consumes as many elements as it needs, e.g. {1, 2, 3, 4} for int m[2][2]
+     */
+    *fillAggregate(obj, elements, state, env, braced, line) {
+        const children = this.aggregateChildren(obj);
+        // Sem designador, só o primeiro membro de uma union é inicializado
+        const limit = obj.dims.length === 0 && TypeSystem.isUnion(obj.type) ? 1 : children.length;
+        let pos = 0;
+        while (state.index < elements.length) {
+            const element = elements[state.index];
+            if (element.designators.length > 0) {
+                if (!braced) return; // O designador pertence à lista entre chaves que contém esta
+                pos = yield* this.designatorPosition(obj, children, element.designators[0], env, line);
+                state.index++;
+                yield* this.initializeDesignated(children[pos], element.designators.slice(1), element.value, env, line);
+                pos++; continue;
+            }
+            if (pos >= limit) {
+                if (!braced) return;
+                throw this.excessInitializerError(line);
+            }
+            const target = children[pos];
+            if (element.value.type === 'InitializerList' || !this.isAggregate(target) || this.isCharArrayFromString(target, element.value) ||
+                (target.dims.length === 0 && TypeSystem.isStruct(this.getExpressionType(element.value, env)))) {
+                state.index++;
+                yield* this.initializeObject(target, element.value, env);
+            } else {
+                yield* this.fillAggregate(target, elements, state, env, false, line);
+            }
+            pos++;
+        }
+    }
+
+    *initializeDesignated(obj, designators, value, env, line) {
+        if (designators.length === 0) return yield* this.initializeObject(obj, value, env);
+        if (!this.isAggregate(obj)) throw this.designatorError(line, 'Designador aplicado a um valor que não é array nem struct.');
+        const children = this.aggregateChildren(obj);
+        const pos = yield* this.designatorPosition(obj, children, designators[0], env, line);
+        yield* this.initializeDesignated(children[pos], designators.slice(1), value, env, line);
+    }
+
+    *designatorPosition(obj, children, designator, env, line) {
+        if (designator.kind === 'index') {
+            if (obj.dims.length === 0) throw this.designatorError(line, "'[índice]' só pode ser usado em arrays.");
+            const index = Math.trunc(yield* this.visit(designator.index, env));
+            if (index < 0 || index >= children.length) throw this.designatorError(line, `Índice [${index}] fora do array (0 a ${children.length - 1}).`);
+            return index;
+        }
+        if (obj.dims.length > 0 || !TypeSystem.isStruct(obj.type)) throw this.designatorError(line, "'.campo' só pode ser usado em structs.");
+        const pos = children.findIndex(child => child.name === designator.name);
+        if (pos === -1) throw this.designatorError(line, `'${obj.type}' não tem o membro '${designator.name}'.`);
+        return pos;
+    }
+
+    designatorError(line, detail) {
+        return new Error(`[Linha ${line}] ⚠️ DESIGNADOR INVÁLIDO: ${detail}\n` +
+            "💡 Dica: Use [índice] = valor para arrays e .campo = valor para structs.");
+    }
+
+    excessInitializerError(line) {
+        return new Error(`[Linha ${line}] ⚠️ EXCESSO DE ELEMENTOS: O inicializador tem mais valores do que o objeto comporta.\n` +
+            "💡 Dica: Confira o tamanho declarado e a quantidade de valores entre chaves.");
+    }
+
+    /**
+     * Locate the object an lvalue designates (x, *p, v[i], m[i][j], s.campo, p->campo).
+     * Assignment, compound assignment, ++/-- and & all go through here
+     * @returns {Object} { addr, type, name, isConst } - type is the declared type of the object
+     */
+    *evaluateLvalue(node, env) {
+        switch (node.type) {
+            case 'Identifier': {
+                const addr = env.resolveAddress(node.name);
+                if (typeof addr === 'object' && addr.type === 'EnumConstant') {
+                    throw new Error(`[Linha ${node.line}] ⚠️ L-VALUE INVÁLIDO: '${addr.name}' é uma constante de enum: não pode receber valores nem ter seu endereço tomado.`);
+                }
+                if (typeof addr !== 'number') throw new Error(`[Linha ${node.line}] ⚠️ L-VALUE INVÁLIDO: '${node.name}' é uma função e não pode receber valores.`);
+                return { addr, type: this.getObjectType(node, env), name: node.name, isConst: !!this.memory.allocations.get(addr).isConst };
+            }
+            case 'UnaryExpression': {
+                if (node.operator !== '*') break;
+                const addr = yield* this.visit(node.argument, env);
+                const type = this.getObjectType(node, env);
+                this.checkDereferenceable(type, node);
+                return { addr, type, name: this.describeExpression(node), isConst: TypeSystem.isConst(type) }; // *p de um const int * é só leitura
+            }
+            case 'IndexExpression': {
+                const { addr, type, meta } = yield* this.evaluateIndexAddress(node, env);
+                return { addr, type, name: meta.name, isConst: meta.isConst };
+            }
+            case 'MemberExpression': {
+                const member = yield* this.evaluateMemberAddress(node, env);
+                return { addr: member.addr, type: member.field.type, name: member.field.name, isConst: member.isConst };
+            }
+        }
+        throw new Error(`[Linha ${node.line}] L-value inválido.`);
+    }
+
+    // Só objetos modificáveis podem receber valores: nem const, nem arrays inteiros
+    checkModifiable({ name, type, isConst }, line) {
+        if (isConst) {
+            throw new Error(`[Linha ${line}] ⚠️ ERRO DE CONSTANTE: Tentativa de modificar variável 'const'.\n` +
+                `Variável: ${name}\n` +
+                `💡 Dica: Variáveis declaradas com 'const' não podem ser alteradas após a inicialização.`);
+        }
+        if (TypeSystem.isArray(type)) {
+            throw new Error(`[Linha ${line}] ⚠️ L-VALUE INVÁLIDO: O array '${name}' não pode receber valores como um todo.\n` +
+                "💡 Dica: Copie elemento a elemento (com um for) ou, para strings, use strcpy.");
+        }
+    }
+
     *visitAssignment(node, env) {
         const rightVal = yield* this.visit(node.right, env);
-        let addr, meta;
-
-        if (node.left.type === 'Identifier') {
-            addr = env.resolveAddress(node.left.name);
-            meta = this.memory.allocations.get(addr);
-        } else if (node.left.type === 'UnaryExpression' && node.left.operator === '*') {
-            addr = yield* this.visit(node.left.argument, env);
-        } else if (node.left.type === 'IndexExpression') {
-            const base = yield* this.visit(node.left.arrayObject, env);
-            const indices = []; for(let expr of node.left.indexExpressions) indices.push(yield* this.visit(expr, env));
-            meta = this.memory.allocations.get(base);
-            let flatOffset = meta && meta.isArray ? this.getFlatOffset(meta.dimensions, indices, node.line) : indices[0];
-            const bSize = meta ? meta.byteSize : 4;
-            addr = base + (flatOffset * bSize);
-        } else throw new Error(`[Linha ${node.line}] L-value inválido.`);
-
-        if (meta && meta.isConst) {
-            throw new Error(`[Linha ${node.line}] ⚠️ ERRO DE CONSTANTE: Tentativa de modificar variável 'const'.\n` +
-                `Variável: ${meta.name}\n` +
-                `💡 Dica: Variáveis declaradas com 'const' não podem ser alteradas após a inicialização.`);
+        const target = yield* this.evaluateLvalue(node.left, env);
+        this.checkModifiable(target, node.line);
+        const { addr, type: targetType } = target;
+
+        // Atribuição de struct inteira: copia o bloco de memória
+        if (TypeSystem.isStruct(targetType)) {
+            this.memory.copyBlock(addr, rightVal, TypeSystem.getSize(targetType));
+            const memorySnapshot = this.memory.createSnapshot();
+            yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot }; return addr;
         }
 
+        // Leitura e escrita usam a representação em bytes do tipo do lado esquerdo
+        const valueType = targetType || CType.base('int');
         let finalVal = rightVal;
         if (node.operator !== '=') {
-            const currentVal = this.memory.read(addr);
-            switch(node.operator) {
-                case '+=': finalVal = currentVal + rightVal; break;
-                case '-=': finalVal = currentVal - rightVal; break;
-                case '*=': finalVal = currentVal * rightVal; break;
-                case '/=': finalVal = Math.floor(currentVal / rightVal); break;
-                case '%=': finalVal = currentVal % rightVal; break;
+            const currentVal = this.memory.read(addr, valueType);
+            const op = node.operator.slice(0, -1); const rightType = this.getExpressionType(node.right, env);
+            const pointerTarget = op === '+' || op === '-' ? this.getPointerTarget(node.left, env) : null;
+            if (pointerTarget) {
+                finalVal = yield* this.offsetPointer(node, currentVal, rightVal, pointerTarget, op);
+            } else if (['&', '|', '^', '<<', '>>'].includes(op)) {
+                this.checkIntegerOperands(node.operator, node, [targetType, rightType]);
+                finalVal = this.integerBitwise(op, currentVal, rightVal, valueType, rightType);
+            } else {
+                // x op= y calcula x op y no tipo comum e converte o resultado de volta para o tipo de x
+                const type = TypeSystem.isArithmetic(valueType) && TypeSystem.isArithmetic(rightType) ? TypeSystem.commonType(valueType, rightType) : null;
+                finalVal = this.arithmeticOperation(op, TypeSystem.cast(currentVal, type), TypeSystem.cast(rightVal, type), type, node.line);
             }
         }
-        const castedVal = meta ? TypeSystem.cast(finalVal, meta.type) : finalVal;
-        this.memory.write(addr, castedVal);
+        const castedVal = TypeSystem.cast(finalVal, valueType);
+        this.memory.write(addr, castedVal, valueType);
         const memorySnapshot = this.memory.createSnapshot();
         yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot }; return castedVal;
     }
 
     *visitUnary(node, env) {
         if (node.operator === 'sizeof') {
-            if (node.argument.type === 'TypeName') return TypeSystem.getSize(node.argument.value);
-            else if (node.argument.type === 'Identifier') {
-                const addr = env.resolveAddress(node.argument.name); const meta = this.memory.allocations.get(addr);
-                return meta ? (meta.isArray ? meta.totalLength * meta.byteSize : meta.byteSize) : 4;
+            if (node.argument.type === 'TypeName') return TypeSystem.getSize(yield* this.completeType(node.argument.value, env));
+            // O operando não decai: sizeof de um array é o tamanho do array inteiro
+            const argType = this.getObjectType(node.argument, env);
+            return argType ? TypeSystem.getSize(argType) : 4;
+        }
+        if (node.operator === '&') {
+            if (node.argument.type === 'Identifier') {
+                const target = env.resolveAddress(node.argument.name);
+                if (target && ['FunctionDeclaration', 'FunctionPrototype'].includes(target.type)) return env.get(node.argument.name); // &funcao == funcao
             }
+            return (yield* this.evaluateLvalue(node.argument, env)).addr; // &x, &v[i], &m[1][2], &*p, &s.campo
         }
-        if (node.operator === '&') return env.resolveAddress(node.argument.name);
         if (node.operator === '*') {
             const addr = yield* this.visit(node.argument, env);
             if (!addr || addr === 0) {
                 throw new Error(`[Linha ${node.line}] ⚠️ NULL POINTER DEREFERENCE: Tentativa de desreferenciar ponteiro nulo.\n` +
                     `💡 Dica: Sempre verifique se um ponteiro foi inicializado (malloc) antes de usá-lo.`);
             }
-            return this.memory.read(addr);
+            // *ptr de uma struct ou de um array continua sendo acessado pelo endereço (ex: (*ptr).x, (*p)[i]); *fp volta a ser a própria função
+            const pointeeType = this.getObjectType(node, env);
+            this.checkDereferenceable(pointeeType, node);
+            if (TypeSystem.isStruct(pointeeType) || TypeSystem.isArray(pointeeType) || (pointeeType && pointeeType.kind === 'function')) return addr;
+            return this.memory.read(addr, pointeeType || CType.base('int'));
         }
         if (node.operator === '!') {
-            const val = yield* this.visit(node.argument, env); return (val === 0 || val === false) ? 1 : 0;
+            const val = yield* this.visit(node.argument, env); return this.isTrue(val) ? 0 : 1;
+        }
+        if (node.operator === '~') {
+            const argType = this.getExpressionType(node.argument, env);
+            this.checkIntegerOperands('~', node, [argType]);
+            const val = yield* this.visit(node.argument, env);
+            return TypeSystem.cast(~val, TypeSystem.promote(argType || CType.base('int')));
+        }
+        if (node.operator === '-' || node.operator === '+') {
+            const argType = this.getExpressionType(node.argument, env);
+            if (argType && !TypeSystem.isArithmetic(argType)) {
+                throw new Error(`[Linha ${node.line}] ⚠️ OPERAÇÃO INVÁLIDA: O operador unário '${node.operator}' só aceita operandos numéricos (recebeu '${argType}').\n` +
+                    "💡 Dica: Sinais de + e - não se aplicam a ponteiros, structs ou arrays.");
+            }
+            const val = yield* this.visit(node.argument, env);
+            if (val === null) return null;
+            // -x é calculado no tipo promovido: -1u dá 4294967295, -'a' dá -97
+            return TypeSystem.cast(node.operator === '-' ? -val : val, TypeSystem.promote(argType));
         }
         if (node.operator === '++' || node.operator === '--') {
-            const addr = env.resolveAddress(node.argument.name); let val = this.memory.read(addr);
-            val = node.operator === '++' ? val + 1 : val - 1; this.memory.write(addr, val);
+            const lvalue = yield* this.evaluateLvalue(node.argument, env);
+            this.checkModifiable(lvalue, node.line);
+            const { addr, type, name } = lvalue;
+            if (type && !TypeSystem.isArithmetic(type) && !TypeSystem.isPointer(type)) {
+                throw new Error(`[Linha ${node.line}] ⚠️ OPERAÇÃO INVÁLIDA: '${node.operator}' aplicado a '${name}', do tipo '${type}'.\n` +
+                    "💡 Dica: Incremento e decremento só valem para variáveis numéricas e ponteiros.");
+            }
+            const target = this.getPointerTarget(node.argument, env);
+            const old = this.memory.read(addr, type || CType.base('int'));
+            let val = null; // Lixo continua lixo
+            if (old !== null && target) val = yield* this.offsetPointer(node, old, 1, target, node.operator === '++' ? '+' : '-'); // p++ avança sizeof(*p) bytes
+            else if (old !== null) val = TypeSystem.cast(node.operator === '++' ? old + (typeof old === 'bigint' ? 1n : 1) : old - (typeof old === 'bigint' ? 1n : 1), type);
+            this.memory.write(addr, val, type || CType.base('int'));
             const memorySnapshot = this.memory.createSnapshot();
-            yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot }; return val;
+            yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot };
+            return node.isPostfix ? old : val; // x++ vale o valor antigo; ++x, o novo
         }
     }
 
+    /**
+     * (T) expr: convert the operand's value to T with the same rules as an assignment
+     * ((char)300 is 44, (double)a / b divides in floating point, (int *)p changes how *p reads memory)
+     */
+    *visitCast(node, env) {
+        const targetType = yield* this.completeType(node.targetType, env);
+        const argType = this.getExpressionType(node.argument, env);
+        const isVoid = TypeSystem.baseName(targetType) === 'void';
+        const invalid = TypeSystem.isStruct(targetType) || TypeSystem.isArray(targetType) || (!isVoid && TypeSystem.isStruct(argType)) ||
+            (TypeSystem.isPointer(targetType) && TypeSystem.isFloat(argType)) || (TypeSystem.isFloat(targetType) && TypeSystem.isPointer(argType));
+        if (invalid) {
+            throw new Error(`[Linha ${node.line}] ⚠️ CAST INVÁLIDO: Não é possível converter '${argType}' para '${targetType}'.\n` +
+                "💡 Dica: Casts só convertem entre números e ponteiros; structs e arrays não podem ser convertidos.");
+        }
+        const value = yield* this.visit(node.argument, env);
+        if (isVoid) return null; // (void) x: o valor é descartado
+        return TypeSystem.cast(value, targetType);
+    }
+
     *visitIndex(node, env) {
-        const base = yield* this.visit(node.arrayObject, env);
-        const meta = this.memory.allocations.get(base);
-        const indices = []; for(let expr of node.indexExpressions) indices.push(yield* this.visit(expr, env));
-
-        if(meta && meta.isArray) {
-            const flatOffset = this.getFlatOffset(meta.dimensions, indices, node.line);
-            const addr = base + (flatOffset * meta.byteSize);
-            if (indices.length < meta.dimensions.length) return addr;
-            return this.memory.read(addr);
-        } else {
-            if (indices.length > 1) throw new Error(`Indexação múltipla em ponteiro simples não suportada.`);
-            const bSize = meta ? meta.byteSize : 4; return this.memory.read(base + (indices[0] * bSize));
+        const { addr, type, partial } = yield* this.evaluateIndexAddress(node, env);
+        if (partial || TypeSystem.isStruct(type)) return addr;
+        return this.memory.read(addr, type || CType.base('int'));
+    }
+
+    /**
+     * Compute the address of an element access (arr[i], m[i][j], ptr[i], s.v[i], argv[i][j], (*p)[i])
+     * @returns {Object} { addr, type, meta, partial } - type is the element type; partial is true when the
+     * element is itself an array (fewer indices than dimensions)
+     */
+    *evaluateIndexAddress(node, env) {
+        let value = yield* this.visit(node.arrayObject, env);
+        const indices = []; for(let expr of node.indexExpressions) indices.push(Number(yield* this.visit(expr, env)));
+        let valueType = this.getExpressionType(node.arrayObject, env), addr = value, type = null, position = 0;
+
+        // Arrays declarados conferem os limites de cada dimensão
+        const info = this.getArrayInfo(node.arrayObject, env);
+        if (info) {
+            position = TypeSystem.isPointer(info.type) ? Math.min(indices.length, info.dimensions.length) : indices.length;
+            addr = value + this.getFlatOffset(info.dimensions, indices.slice(0, position), node.line) * info.byteSize;
+            type = TypeSystem.arrayOf(info.type, info.dimensions.slice(position));
+        }
+        // Os demais índices seguem os ponteiros: int (*p)[4], int m[][4] (parâmetro), char **argv
+        for (; position < indices.length; position++) {
+            if (type) {
+                value = TypeSystem.isArray(type) ? addr : this.memory.read(addr, type); // Um array decai; um ponteiro é lido
+                valueType = TypeSystem.decay(type);
+            }
+            if (!valueType) valueType = CType.pointer(CType.base('int')); // Proteção contra tipos indefinidos
+            if (!TypeSystem.isPointer(valueType) || TypeSystem.isFunctionPointer(valueType)) {
+                throw new Error(`[Linha ${node.line}] ⚠️ ERRO DE INDEXAÇÃO: '[]' aplicado a um valor do tipo '${valueType}', que não é array nem ponteiro.\n` +
+                    "💡 Dica: Verifique os colchetes [] no acesso ao array.");
+            }
+            type = TypeSystem.getPointeeType(valueType);
+            this.checkDereferenceable(type, node);
+            addr = value + indices[position] * TypeSystem.getSize(type);
+        }
+        return { addr, type, meta: { name: this.describeExpression(node), isConst: TypeSystem.isConst(type) }, partial: TypeSystem.isArray(type) };
+    }
+
+    // *p e p[i] com p do tipo void *: o tipo apontado não diz quantos bytes ler
+    checkDereferenceable(type, node) {
+        if (TypeSystem.baseName(type) !== 'void') return;
+        throw new Error(`[Linha ${node.line}] ⚠️ DESREFERÊNCIA DE void *: '${this.describeExpression(node)}' acessaria um objeto do tipo '${type}', que não tem tamanho nem valor.\n` +
+            "💡 Dica: Converta o ponteiro para o tipo do dado antes de acessá-lo, ex: *(const int *)a.");
+    }
+
+    /**
+     * Array metadata (dimensions, element size) of an expression that names an array, or null
+     */
+    getArrayInfo(node, env) {
+        if (node.type === 'Identifier') {
+            const addr = env.resolveAddress(node.name);
+            const meta = typeof addr === 'number' ? this.memory.allocations.get(addr) : null;
+            return meta && meta.isArray ? meta : null;
+        }
+        if (node.type === 'MemberExpression') {
+            const field = this.getMemberField(node, env);
+            return field.isArray ? { name: field.name, type: field.type, dimensions: field.dimensions, byteSize: field.byteSize } : null;
+        }
+        return null;
+    }
+
+    *visitMember(node, env) {
+        const { addr, field } = yield* this.evaluateMemberAddress(node, env);
+        if (field.isArray || TypeSystem.isStruct(field.type)) return addr;
+        return this.memory.read(addr, field.type);
+    }
+
+    /**
+     * Find the struct member accessed by s.campo or ptr->campo
+     * @returns {Object} The field layout ({ name, type, offset, byteSize, ... })
+     */
+    getMemberField(node, env) {
+        let objectType = this.getExpressionType(node.object, env);
+        if (node.operator === '->') {
+            if (!TypeSystem.isPointer(objectType)) {
+                throw new Error(`[Linha ${node.line}] ⚠️ ACESSO A MEMBRO INVÁLIDO: '->' exige um ponteiro para struct, mas a expressão é do tipo '${objectType}'.\n` +
+                    `💡 Dica: Use '.' para acessar membros de uma variável struct e '->' para acessar via ponteiro.`);
+            }
+            objectType = TypeSystem.getPointeeType(objectType);
+        } else if (TypeSystem.isPointer(objectType) && TypeSystem.isStruct(TypeSystem.getPointeeType(objectType))) {
+            throw new Error(`[Linha ${node.line}] ⚠️ ACESSO A MEMBRO INVÁLIDO: '.${node.property}' usado em um ponteiro ('${objectType}').\n` +
+                `💡 Dica: Para acessar membros através de um ponteiro use '->' (ex: ptr->${node.property}) ou (*ptr).${node.property}.`);
+        }
+        if (!TypeSystem.isStruct(objectType)) {
+            throw new Error(`[Linha ${node.line}] ⚠️ ACESSO A MEMBRO INVÁLIDO: '${node.operator}${node.property}' aplicado a um valor do tipo '${objectType}', que não é uma struct/union.`);
+        }
+        const layout = TypeSystem.getStructLayout(objectType);
+        const field = layout.fields.find(f => f.name === node.property);
+        if (!field) {
+            throw new Error(`[Linha ${node.line}] ⚠️ MEMBRO INEXISTENTE: '${objectType}' não possui o membro '${node.property}'.\n` +
+                `Membros disponíveis: ${layout.fields.map(f => f.name).join(', ')}`);
+        }
+        return field;
+    }
+
+    /**
+     * Compute the address of s.campo / ptr->campo
+     * @returns {Object} { addr, field, isConst }
+     */
+    *evaluateMemberAddress(node, env) {
+        const field = this.getMemberField(node, env);
+        const objectType = this.getExpressionType(node.object, env);
+        const base = yield* this.visit(node.object, env); // Struct: seu endereço | Ponteiro: endereço apontado
+        if (node.operator === '->' && !base) {
+            throw new Error(`[Linha ${node.line}] ⚠️ NULL POINTER DEREFERENCE: Tentativa de acessar '->${node.property}' em um ponteiro nulo.\n` +
+                `💡 Dica: Sempre verifique se um ponteiro foi inicializado (malloc) antes de usá-lo.`);
+        }
+        return { addr: base + field.offset, field, isConst: TypeSystem.isConst(field.type) || TypeSystem.isConst(objectType) };
+    }
+
+    /**
+     * Declared type of the object an expression designates, before arrays decay to pointers
+     * (m is "int [3][4]", m[1] is "int [4]", *p is "int [10]" for int (*p)[10])
+     * @returns {CType|null} The type, or null when it cannot be determined
+     */
+    getObjectType(node, env) {
+        switch (node.type) {
+            case 'Identifier': {
+                const addr = env.resolveAddress(node.name);
+                if (typeof addr === 'object' && addr.type === 'EnumConstant') return CType.base('int');
+                if (typeof addr === 'object' && (addr.type === 'FunctionDeclaration' || addr.type === 'FunctionPrototype')) return this.functionType(addr);
+                if (typeof addr !== 'number') return null;
+                const meta = this.memory.allocations.get(addr);
+                if (!meta) return null;
+                return meta.isArray ? TypeSystem.arrayOf(meta.type, meta.dimensions) : meta.type;
+            }
+            case 'MemberExpression': {
+                const field = this.getMemberField(node, env);
+                return TypeSystem.arrayOf(field.type, field.dimensions);
+            }
+            case 'IndexExpression': {
+                let type = this.getExpressionType(node.arrayObject, env);
+                for (let i = 0; i < node.indexExpressions.length && type; i++) type = TypeSystem.getPointeeType(type);
+                return type;
+            }
+            case 'UnaryExpression': {
+                if (node.operator !== '*') return this.getExpressionType(node, env);
+                const argType = this.getExpressionType(node.argument, env);
+                return TypeSystem.isPointer(argType) ? TypeSystem.getPointeeType(argType) : null;
+            }
+            default: return this.getExpressionType(node, env);
+        }
+    }
+
+    /**
+     * Static C type of an expression, derived from the declarations in scope (no side effects)
+     * @returns {CType|null} The type, or null when it cannot be determined
+     */
+    getExpressionType(node, env) {
+        switch (node.type) {
+            // Arrays e funções usados como valor decaem para ponteiros
+            case 'Identifier': case 'MemberExpression': case 'IndexExpression': return TypeSystem.decay(this.getObjectType(node, env));
+            case 'UnaryExpression': {
+                if (node.operator === 'sizeof' || node.operator === '!') return CType.base('int');
+                if (node.operator === '*') return TypeSystem.decay(this.getObjectType(node, env));
+                const argType = node.operator === '&' ? this.getObjectType(node.argument, env) : this.getExpressionType(node.argument, env);
+                if (node.operator === '&') return argType ? CType.pointer(argType) : null;
+                if (['~', '-', '+'].includes(node.operator)) return TypeSystem.promote(argType);
+                return argType;
+            }
+            case 'AssignmentExpression': return this.getExpressionType(node.left, env);
+            case 'CastExpression': return node.targetType;
+            case 'CommaExpression': return this.getExpressionType(node.expressions[node.expressions.length - 1], env);
+            case 'ConditionalExpression': {
+                const consequentType = this.getExpressionType(node.consequent, env), alternateType = this.getExpressionType(node.alternate, env);
+                if (TypeSystem.isArithmetic(consequentType) && TypeSystem.isArithmetic(alternateType)) return TypeSystem.commonType(consequentType, alternateType);
+                return consequentType || alternateType;
+            }
+            case 'BinaryExpression': {
+                if (['==', '!=', '<', '>', '<=', '>=', '&&', '||'].includes(node.operator)) return CType.base('int');
+                const leftType = this.getExpressionType(node.left, env), rightType = this.getExpressionType(node.right, env);
+                if (node.operator === '<<' || node.operator === '>>') return TypeSystem.promote(leftType);
+                if (node.operator === '-' && TypeSystem.isPointer(leftType) && TypeSystem.isPointer(rightType)) return CType.base('long'); // ptrdiff_t
+                if (TypeSystem.isPointer(leftType)) return leftType;
+                if (TypeSystem.isPointer(rightType)) return rightType;
+                return TypeSystem.commonType(leftType, rightType);
+            }
+            case 'CallExpression': {
+                if (node.callee.type === 'Identifier' && node.callee.name === 'va_arg' && node.arguments[1]) return node.arguments[1].value;
+                const calleeType = this.getExpressionType(node.callee, env);
+                return TypeSystem.isFunctionPointer(calleeType) ? TypeSystem.getFunctionSignature(calleeType).returnType : null;
+            }
+            case 'Literal': return node.rawType === 'STRING' ? CType.pointer(CType.base('char')) : TypeSystem.getLiteralType(node.value, node.raw);
+            default: return null;
         }
     }
 
     *visitCall(node, env) {
-        const name = node.callee.name;
+        if (node.callee.type === 'Identifier' && ['va_start', 'va_arg', 'va_copy', 'va_end'].includes(node.callee.name)) return yield* this.visitVariadicMacro(node, env);
+        const func = yield* this.resolveCallee(node, env);
+
+        // A chamada é conferida com a declaração (protótipo ou definição) antes de executar
+        if (func.type === 'FunctionDeclaration' || func.type === 'FunctionPrototype') this.checkCallArguments(func, node, env);
+        if (func.type === 'FunctionPrototype') {
+            throw new Error(`[Linha ${node.line}] ⚠️ REFERÊNCIA INDEFINIDA: '${func.name}' tem protótipo (linha ${func.line}), mas nunca foi definida.\n` +
+                "💡 Dica: Escreva o corpo da função { ... } em algum lugar do arquivo.");
+        }
+
         const args = []; for(const a of node.arguments) args.push(yield* this.visit(a, env));
 
-        let func;
-        try {
-            func = env.get(name);
-        } catch (e) {
-            throw new Error(`[Linha ${node.line}] ⚠️ FUNÇÃO NÃO DECLARADA: '${name}' não foi definida.\n💡 Dica: Verifique se a função foi declarada antes de ser chamada.`);
+        if (func.type === 'BuiltIn') return yield* func.execute(args, this, node);
+        const returnSlot = TypeSystem.isStruct(func.returnType) ? this.returnSlotFor(func, node, env) : null;
+        if (!func.isVariadic) return yield* this.invokeFunction(func, args, node.line, null, returnSlot);
+
+        // Os argumentos extras ficam no frame de quem chama, logo antes do frame da função chamada
+        const mark = this.memory.stackPointer;
+        let varargs = mark;
+        node.arguments.slice(func.params.length).forEach((arg, k) => {
+            const value = args[func.params.length + k];
+            const address = this.memory.allocateStack(`...[${k}]`, value, this.variadicArgumentType(arg, value, env));
+            Object.assign(this.memory.allocations.get(address), { isVariadicArg: true, variadicIndex: k, variadicOf: func.name });
+            if (k === 0) varargs = address;
+        });
+        const memorySnapshot = this.memory.createSnapshot();
+        yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot };
+        const result = yield* this.invokeFunction(func, args.slice(0, func.params.length), node.line, varargs, returnSlot);
+        this.memory.freeStackRange(mark, this.memory.stackPointer);
+        return result;
+    }
+
+    // Promoções padrão dos argumentos extras: char/short viram int e float vira double
+    variadicArgumentType(arg, value, env) {
+        const type = this.getExpressionType(arg, env) || (typeof value === 'number' && !Number.isInteger(value) ? CType.base('double') : CType.base('int'));
+        if (TypeSystem.isFloat(type)) return CType.base('double');
+        return TypeSystem.promote(type);
+    }
+
+    /**
+     * stdarg.h macros. A va_list is a char * that walks over the extra arguments
+     * the caller laid out in its own frame, right below the callee's frame.
+     */
+    *visitVariadicMacro(node, env) {
+        const macro = node.callee.name;
+        const arity = macro === 'va_end' ? 1 : 2;
+        if (node.arguments.length !== arity) {
+            throw new Error(`[Linha ${node.line}] ⚠️ NÚMERO DE ARGUMENTOS INCORRETO: '${macro}' espera ${arity} argumento(s), mas recebeu ${node.arguments.length}.`);
+        }
+        const list = node.arguments[0];
+        if (!TypeSystem.sameType(this.getExpressionType(list, env), CType.base('va_list'))) {
+            throw new Error(`[Linha ${node.line}] ⚠️ va_list ESPERADA: O 1º argumento de '${macro}' deve ser uma variável do tipo va_list.\n` +
+                "💡 Dica: Declare 'va_list args;' no início da função variádica.");
+        }
+        // A va_list pode ser qualquer objeto: ap, listas[i], estado->args
+        const { addr: listAddress } = yield* this.evaluateLvalue(list, env);
+        const listName = this.describeExpression(list);
+        let value, message;
+        if (macro === 'va_start') {
+            const frame = this.callStack[this.callStack.length - 1];
+            const func = frame ? this.globalScope.symbols.get(frame.name) : null;
+            if (!func || !func.isVariadic) {
+                throw new Error(`[Linha ${node.line}] ⚠️ va_start FORA DE FUNÇÃO VARIÁDICA: '${frame ? frame.name : 'main'}' não recebe argumentos extras.\n` +
+                    "💡 Dica: Só funções declaradas com '...' (ex: int soma(int n, ...)) podem usar va_start.");
+            }
+            const lastParam = func.params[func.params.length - 1].name;
+            if (node.arguments[1].type !== 'Identifier' || node.arguments[1].name !== lastParam) {
+                throw new Error(`[Linha ${node.line}] ⚠️ va_start INVÁLIDO: O 2º argumento de va_start deve ser o último parâmetro nomeado de '${func.name}' ('${lastParam}').`);
+            }
+            value = frame.varargs;
+            message = `va_start: ${listName} aponta para o 1º argumento extra (endereço ${value})`;
+        } else if (macro === 'va_copy') {
+            value = yield* this.visit(node.arguments[1], env);
+            message = `va_copy: ${listName} passa a apontar para o mesmo argumento extra (endereço ${value})`;
+        } else if (macro === 'va_end') {
+            value = null; // A partir daqui a va_list não aponta para nada válido
+            message = `va_end: ${listName} não deve mais ser usada`;
+        } else {
+            return yield* this.readVariadicArgument(node, listName, listAddress);
+        }
+        this.memory.write(listAddress, value, CType.base('va_list'));
+        const memorySnapshot = this.memory.createSnapshot();
+        yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot };
+        yield { type: 'EXPLAIN', line: node.line, message };
+        return null;
+    }
+
+    // va_arg(ap, tipo): lê o argumento extra apontado por ap e avança ap para o próximo
+    *readVariadicArgument(node, listName, listAddress) {
+        const type = node.arguments[1].type === 'TypeName' ? node.arguments[1].value : null;
+        if (!type) throw new Error(`[Linha ${node.line}] ⚠️ va_arg INVÁLIDO: O 2º argumento de va_arg deve ser um tipo (ex: va_arg(${listName}, int)).`);
+        const promoted = TypeSystem.isFloat(type) ? CType.base('double') : TypeSystem.promote(type);
+        if (TypeSystem.getSize(promoted) !== TypeSystem.getSize(type) || TypeSystem.isFloat(promoted) !== TypeSystem.isFloat(type)) {
+            throw new Error(`[Linha ${node.line}] ⚠️ TIPO INVÁLIDO EM va_arg: Um argumento extra nunca chega como '${type}', pois é promovido para '${promoted}'.\n` +
+                "💡 Dica: Use va_arg(ap, int) para char e short, e va_arg(ap, double) para float.");
+        }
+        const address = this.memory.read(listAddress, CType.base('va_list'));
+        const slot = address === null ? null : this.memory.allocations.get(address);
+        if (!slot || !slot.active || !slot.isVariadicArg) {
+            throw new Error(`[Linha ${node.line}] ⚠️ va_arg SEM ARGUMENTO: '${listName}' não aponta para nenhum argumento extra.\n` +
+                "💡 Dica: Chame va_start antes de va_arg. A função não sabe quantos extras recebeu: use um contador (ex: n) ou um valor sentinela para parar.");
+        }
+        if (TypeSystem.getSize(slot.type) !== TypeSystem.getSize(type) || TypeSystem.isFloat(slot.type) !== TypeSystem.isFloat(type)) {
+            throw new Error(`[Linha ${node.line}] ⚠️ va_arg COM TIPO ERRADO: O ${slot.variadicIndex + 1}º argumento extra foi passado como '${slot.type}', mas está sendo lido como '${type}'.\n` +
+                "💡 Dica: O tipo pedido a va_arg deve ser o do argumento passado, depois das promoções (char/short → int, float → double).");
+        }
+        const value = this.memory.read(address, type);
+        const next = address + slot.byteSize;
+        this.memory.write(listAddress, next, CType.base('va_list'));
+        const memorySnapshot = this.memory.createSnapshot();
+        yield { type: 'MEM_UPDATE', memory: this.memory, memorySnapshot };
+        yield { type: 'EXPLAIN', line: node.line,
+            message: `va_arg(${listName}, ${type}) leu o ${slot.variadicIndex + 1}º argumento extra (${value}) e avançou ${slot.byteSize} bytes: ${address} → ${next}` };
+        return value;
+    }
+
+    /**
+     * Temporary in the caller's frame that receives a struct returned by value, since the callee's
+     * frame is unmapped when it returns. Each call site reuses its temporary while the scope lives
+     * (a loop calling mk() does not pile up copies on the stack)
+     * @returns {number} Address of the temporary
+     */
+    returnSlotFor(func, node, env) {
+        const cached = env.returnSlots.get(node);
+        if (cached && cached.meta.active && this.memory.allocations.get(cached.address) === cached.meta) return cached.address;
+        const address = this.memory.allocateStruct(`${func.name}() (retorno)`, null, func.returnType);
+        env.returnSlots.set(node, { address, meta: this.memory.allocations.get(address) });
+        return address;
+    }
+
+    /**
+     * Find the function a call refers to: a name, or any expression yielding a text-segment address
+     * (function pointers, (*fp)(...), tabela[i](...))
+     */
+    *resolveCallee(node, env) {
+        let target;
+        if (node.callee.type === 'Identifier') {
+            try {
+                target = env.get(node.callee.name);
+            } catch (e) {
+                throw new Error(`[Linha ${node.line}] ⚠️ FUNÇÃO NÃO DECLARADA: '${node.callee.name}' não foi definida.\n💡 Dica: Verifique se a função foi declarada antes de ser chamada.`);
+            }
+        } else {
+            target = yield* this.visit(node.callee, env);
         }
+        if (target && typeof target === 'object') return target; // Built-ins (printf, malloc, ...)
+        if (target === null || target === 0) {
+            throw new Error(`[Linha ${node.line}] ⚠️ PONTEIRO DE FUNÇÃO NULO: Chamada através de um ponteiro que não aponta para nenhuma função.\n` +
+                "💡 Dica: Atribua uma função ao ponteiro antes de chamá-lo (ex: op = soma;).");
+        }
+        return this.functionAt(target, node.line);
+    }
+
+    functionAt(address, line) {
+        const meta = this.memory.allocations.get(address);
+        if (!meta || !meta.isFunction) {
+            throw new Error(`[Linha ${line}] ⚠️ ERRO: O endereço ${address} não é uma função válida.\n` +
+                "💡 Dica: Só é possível chamar nomes de funções ou ponteiros que apontam para funções.");
+        }
+        return this.globalScope.symbols.get(meta.name);
+    }
 
-        if (func.type === 'BuiltIn') return yield* func.execute(args, this);
+    /**
+     * Comparison function passed to qsort/bsearch, checked against the shape they call it with:
+     * two pointers to elements in, a negative, zero or positive integer out
+     */
+    comparatorAt(address, routine, line) {
+        const func = this.functionAt(address, line);
+        const integerResult = TypeSystem.isArithmetic(func.returnType) && !TypeSystem.isFloat(func.returnType);
+        if (func.isVariadic || func.params.length !== 2 || !func.params.every(p => TypeSystem.isPointer(p.type)) || !integerResult) {
+            throw new Error(`[Linha ${line}] ⚠️ COMPARADOR INVÁLIDO: ${routine} chama o comparador como 'int (*)(const void *, const void *)', mas '${func.name}' é '${this.formatSignature(func)}'.\n` +
+                "💡 Dica: O comparador recebe os endereços de dois elementos e devolve um inteiro negativo, zero ou positivo.");
+        }
+        return func;
+    }
 
+    /**
+     * Execute a user-defined function with already evaluated arguments
+     * (used by normal calls and by built-ins that call back into user code, like qsort)
+     */
+    *invokeFunction(func, args, line, varargs = null, returnSlot = null) {
+        const name = func.name;
         if (func.type === 'FunctionDeclaration') {
             // Check for stack overflow (infinite recursion)
             if (this.callStack.length >= this.maxCallStackDepth) {
                 const trace = this.callStack.slice(-5).map(f => `  → ${f.name}()`).join('\n');
-                throw new Error(`[Linha ${node.line}] ⚠️ STACK OVERFLOW: Recursão profunda demais (${this.callStack.length} chamadas).\n` +
+                throw new Error(`[Linha ${line}] ⚠️ STACK OVERFLOW: Recursão profunda demais (${this.callStack.length} chamadas).\n` +
                     `Últimas 5 chamadas:\n${trace}\n💡 Dica: Verifique se sua função recursiva tem uma condição de parada adequada.`);
             }
 
+            // Built-ins como qsort chamam funções do usuário sem passar por checkCallArguments
+            if (func.isVariadic ? args.length < func.params.length : args.length !== func.params.length) {
+                throw new Error(`[Linha ${line}] ⚠️ NÚMERO DE ARGUMENTOS INCORRETO: '${name}' espera ${func.params.length} argumento(s), mas recebeu ${args.length}.\n` +
+                    `💡 Dica: A função foi declarada como '${this.formatSignature(func)}'.`);
+            }
+
+            // Structs devolvidas por valor precisam de um destino fora do frame da função
+            if (returnSlot === null && TypeSystem.isStruct(func.returnType)) returnSlot = this.memory.allocateStruct(`${name}() (retorno)`, null, func.returnType);
+
             // Push to call stack
-            this.callStack.push({ name, line: node.line, args });
+            this.callStack.push({ name, line, args, varargs }); // varargs: endereço do 1º argumento extra ('...')
 
             const funcEnv = new Environment(this.memory, this.globalScope);
 
-            // Map arguments to parameters
+            // Cada argumento é convertido para o tipo do parâmetro, como numa atribuição (0 e 0n são valores válidos)
             for (let i = 0; i < func.params.length; i++) {
-                funcEnv.define(func.params[i].name, args[i] || null, func.params[i].type);
+                const type = yield* this.completeType(func.params[i].type, funcEnv);
+                const value = args[i] ?? null, converted = TypeSystem.cast(value, type);
+                if (value !== null && TypeSystem.isArithmetic(type) && String(converted) !== String(value)) {
+                    yield { type: 'EXPLAIN', line, message: `O ${i + 1}º argumento de ${name}() vale ${value}, mas o parâmetro '${func.params[i].name}' é '${type}': recebe ${converted}` };
+                }
+                funcEnv.define(func.params[i].name, converted, type);
             }
 
             // Execute function body
             const result = yield* this.visitBlock(func.body, funcEnv);
+            this.checkUnresolvedGoto(result);
+            const hasValue = result && result.type === 'RETURN' && result.hasValue;
+            // A struct é copiada antes de o frame (onde ela pode morar) deixar de existir
+            if (returnSlot !== null && hasValue) this.memory.copyBlock(returnSlot, result.value, TypeSystem.getSize(func.returnType));
 
             // Clean up
             funcEnv.destroy();
             this.callStack.pop();
 
-            if (result && result.type === 'RETURN') return result.value;
-            return null;
+            if (TypeSystem.baseName(func.returnType) === 'void') {
+                if (hasValue) {
+                    // O valor de 'return x;' numa função void é descartado
+                    yield { type: 'WARNING', line, message: `[Linha ${line}] ⚠️ AVISO: '${name}' foi declarada 'void', mas devolveu um valor com 'return' (linha ${result.line}).\n` +
+                        "💡 Dica: O valor é descartado. Use 'return;' numa função void, ou declare o tipo de retorno (ex: int) se quem chama precisa do resultado." };
+                }
+                return null;
+            }
+            if (!hasValue) {
+                // Em C isso não é erro: quem chamou apenas recebe lixo
+                const how = result && result.type === 'RETURN' ? `com 'return;' sem valor (linha ${result.line})` : 'sem executar nenhum return';
+                yield { type: 'WARNING', line, message: `[Linha ${line}] ⚠️ AVISO: '${name}' deveria devolver '${func.returnType}', mas terminou ${how}.\n` +
+                    "💡 Dica: O valor recebido por quem chamou é lixo. Garanta que todo caminho da função termine com 'return valor;'." };
+                return returnSlot;
+            }
+            if (returnSlot !== null) return returnSlot;
+            return TypeSystem.cast(result.value, func.returnType); // return 3.9; em uma função int devolve 3
         }
 
-        throw new Error(`[Linha ${node.line}] ⚠️ ERRO: '${name}' não é uma função válida.`);
+        throw new Error(`[Linha ${line}] ⚠️ ERRO: '${name}' não é uma função válida.`);
     }
 
     *visitBinary(node, env) {
         if (node.operator === '&&') {
-            const l = yield* this.visit(node.left, env); if (l === 0 || l === false) return 0;
-            const r = yield* this.visit(node.right, env); return (r !== 0 && r !== false) ? 1 : 0;
+            const l = yield* this.visit(node.left, env); if (!this.isTrue(l)) return 0;
+            const r = yield* this.visit(node.right, env); return this.isTrue(r) ? 1 : 0;
         }
         if (node.operator === '||') {
-            const l = yield* this.visit(node.left, env); if (l !== 0 && l !== false) return 1;
-            const r = yield* this.visit(node.right, env); return (r !== 0 && r !== false) ? 1 : 0;
+            const l = yield* this.visit(node.left, env); if (this.isTrue(l)) return 1;
+            const r = yield* this.visit(node.right, env); return this.isTrue(r) ? 1 : 0;
         }
 
-        const l = yield* this.visit(node.left, env); const r = yield* this.visit(node.right, env);
+        const leftType = this.getExpressionType(node.left, env), rightType = this.getExpressionType(node.right, env);
+        if (['&', '|', '^', '<<', '>>'].includes(node.operator)) {
+            this.checkIntegerOperands(node.operator, node, [leftType, rightType]);
+            const l = yield* this.visit(node.left, env); const r = yield* this.visit(node.right, env);
+            return this.integerBitwise(node.operator, l, r, leftType, rightType);
+        }
+
+        // Aritmética de ponteiros anda de elemento em elemento, não de byte em byte
+        const leftTarget = this.getPointerTarget(node.left, env), rightTarget = this.getPointerTarget(node.right, env);
+        if ((node.operator === '+' || node.operator === '-') && (leftTarget || rightTarget)) {
+            return yield* this.visitPointerArithmetic(node, env, leftTarget, rightTarget);
+        }
+        if (['<', '>', '<=', '>='].includes(node.operator) && (leftTarget || rightTarget)) this.checkPointerComparison(node, env);
+
+        // Os dois operandos são convertidos para o tipo comum antes de operar ou comparar (-1 < 1u é falso)
+        const type = TypeSystem.isArithmetic(leftType) && TypeSystem.isArithmetic(rightType) ? TypeSystem.commonType(leftType, rightType) : null;
+        let l = TypeSystem.cast(yield* this.visit(node.left, env), type), r = TypeSystem.cast(yield* this.visit(node.right, env), type);
+        if (!type && typeof l !== typeof r) { l = Number(l); r = Number(r); } // BigInt e number só se comparam convertidos
         switch(node.operator) {
-            case '+': return l + r;
-            case '-': return l - r;
-            case '*': return l * r;
-            case '/': return Math.floor(l / r);
-            case '%': return l % r; // Modulo operator
             case '==': return l === r ? 1 : 0;
             case '!=': return l !== r ? 1 : 0;
             case '<': return l < r ? 1 : 0;
             case '>': return l > r ? 1 : 0;
             case '<=': return l <= r ? 1 : 0;
             case '>=': return l >= r ? 1 : 0;
+            default: return this.arithmeticOperation(node.operator, l, r, type, node.line);
+        }
+    }
+
+    /**
+     * Apply + - * / % to operands already converted to their common type: integer results wrap
+     * around to the type width and integer division truncates toward zero (-7 / 2 == -3)
+     * @param {string} op - One of + - * / %
+     * @param {number|bigint} l - Left operand
+     * @param {number|bigint} r - Right operand
+     * @param {string|null} type - The common type, or null when unknown
+     * @param {number} line - Source line, for errors
+     * @returns {number|bigint} The result (BigInt for 64-bit types, where / already truncates)
+     */
+    arithmeticOperation(op, l, r, type, line) {
+        const isInteger = !TypeSystem.isFloat(type);
+        if (typeof l === 'bigint' || typeof r === 'bigint') {
+            if (!TypeSystem.is64BitInteger(type)) { l = Number(l); r = Number(r); } // Tipo desconhecido: volta a number
+        }
+        if (isInteger && (op === '/' || op === '%') && Number(r) === 0) {
+            throw new Error(`[Linha ${line}] ⚠️ DIVISÃO POR ZERO: Divisão inteira por zero ('${op}').\n` +
+                "💡 Dica: Verifique o divisor antes de dividir (ex: if (b != 0)).");
+        }
+        let result;
+        switch (op) {
+            case '+': result = l + r; break;
+            case '-': result = l - r; break;
+            // Produtos de 32 bits podem passar de 2^53: Math.imul mantém os bits baixos exatos
+            case '*': result = isInteger && type && TypeSystem.getSize(type) === 4 ? Math.imul(l, r) : l * r; break;
+            case '/': result = isInteger && typeof l !== 'bigint' ? Math.trunc(l / r) : l / r; break;
+            case '%': result = l % r; break; // O resto tem o sinal do dividendo, como em C
+        }
+        return type ? TypeSystem.cast(result, type) : result;
+    }
+
+    /**
+     * Apply a bitwise or shift operator in the type C computes it: the promoted left operand
+     * for shifts, the common type otherwise
+     */
+    integerBitwise(op, l, r, leftType, rightType) {
+        // A contagem não entra no tipo do resultado: 1 << n com long long n continua int
+        if (op === '<<' || op === '>>') {
+            const type = TypeSystem.promote(leftType || CType.base('int'));
+            return TypeSystem.cast(this.bitwiseOperation(op, TypeSystem.cast(l, type), Number(r), TypeSystem.isUnsigned(type)), type);
+        }
+        const type = TypeSystem.commonType(leftType, rightType);
+        return TypeSystem.cast(this.bitwiseOperation(op, TypeSystem.cast(l, type), TypeSystem.cast(r, type), TypeSystem.isUnsigned(type)), type);
+    }
+
+    /**
+     * Pointer + integer, integer + pointer, pointer - integer and pointer - pointer
+     */
+    *visitPointerArithmetic(node, env, leftTarget, rightTarget) {
+        const l = yield* this.visit(node.left, env); const r = yield* this.visit(node.right, env);
+        if (leftTarget && rightTarget) {
+            if (node.operator === '+') {
+                throw new Error(`[Linha ${node.line}] ⚠️ OPERAÇÃO INVÁLIDA: Não é possível somar dois ponteiros.\n` +
+                    "💡 Dica: Some um inteiro a um ponteiro (p + i) ou subtraia dois ponteiros do mesmo array (q - p).");
+            }
+            if (!TypeSystem.sameType(leftTarget.elementType, rightTarget.elementType, true)) {
+                throw new Error(`[Linha ${node.line}] ⚠️ PONTEIROS INCOMPATÍVEIS: Subtração entre '${CType.pointer(leftTarget.elementType)}' e '${CType.pointer(rightTarget.elementType)}'.\n` +
+                    "💡 Dica: Só faz sentido subtrair ponteiros do mesmo tipo, que apontam para o mesmo array.");
+            }
+            // A diferença é contada em elementos: (q - p) / sizeof(*p)
+            const count = Math.trunc((l - r) / leftTarget.stride);
+            yield { type: 'EXPLAIN', line: node.line,
+                message: `${this.describeExpression(node)} = (${l} - ${r}) / sizeof(${leftTarget.elementType}) = ${count} elemento${Math.abs(count) === 1 ? '' : 's'}` };
+            return count;
+        }
+        if (rightTarget && node.operator === '-') {
+            throw new Error(`[Linha ${node.line}] ⚠️ OPERAÇÃO INVÁLIDA: Não é possível subtrair um ponteiro de um inteiro.\n` +
+                "💡 Dica: Escreva o ponteiro à esquerda (p - i).");
+        }
+        return leftTarget
+            ? yield* this.offsetPointer(node, l, r, leftTarget, node.operator)
+            : yield* this.offsetPointer(node, r, l, rightTarget, '+');
+    }
+
+    /**
+     * Move a pointer by count elements and explain the step (p + 1 avança 4 bytes (sizeof(int)))
+     * @returns {number} The new address
+     */
+    *offsetPointer(node, address, count, target, op) {
+        count = Number(count);
+        const bytes = count * target.stride;
+        const result = op === '-' ? address - bytes : address + bytes;
+        const direction = (op === '-') === (bytes < 0) ? 'avança' : 'recua';
+        const scale = Math.abs(count) === 1 ? '' : `${Math.abs(count)} × `;
+        yield { type: 'EXPLAIN', line: node.line,
+            message: `${this.describeExpression(node)} ${direction} ${Math.abs(bytes)} byte${Math.abs(bytes) === 1 ? '' : 's'} (${scale}sizeof(${target.elementType})): ${address} → ${result}` };
+        return result;
+    }
+
+    /**
+     * Element type and stride of an expression used in pointer arithmetic, or null when it is not a pointer.
+     * Arrays decay to a pointer to their first element (a row, for matrices)
+     * @returns {Object|null} { elementType, stride }
+     */
+    getPointerTarget(node, env) {
+        const type = this.getExpressionType(node, env);
+        if (!TypeSystem.isPointer(type) || TypeSystem.isFunctionPointer(type)) return null;
+        const elementType = TypeSystem.getPointeeType(type);
+        return { elementType, stride: TypeSystem.getSize(elementType) }; // sizeof(void) é 1, como no gcc
+    }
+
+    checkPointerComparison(node, env) {
+        const leftType = this.getExpressionType(node.left, env), rightType = this.getExpressionType(node.right, env);
+        const mixed = [[leftType, rightType, node.right], [rightType, leftType, node.left]]
+            .some(([pointerType, otherType, other]) => TypeSystem.isPointer(pointerType) && otherType && !TypeSystem.isPointer(otherType) && !this.isNullPointerConstant(other));
+        if (mixed) {
+            throw new Error(`[Linha ${node.line}] ⚠️ COMPARAÇÃO INVÁLIDA: '${node.operator}' entre um ponteiro ('${TypeSystem.isPointer(leftType) ? leftType : rightType}') e um inteiro.\n` +
+                "💡 Dica: Compare ponteiros com outros ponteiros do mesmo array (ex: p < v + 5).");
+        }
+    }
+
+    // 0 ou (void *)0: pode ser comparado ou passado no lugar de qualquer ponteiro
+    isNullPointerConstant(node) {
+        if (node.type === 'CastExpression') return TypeSystem.isPointer(node.targetType) && this.isNullPointerConstant(node.argument);
+        return node.type === 'Literal' && node.value === 0;
+    }
+
+    /**
+     * Short source-like text of an expression, used in step explanations. A child that binds more
+     * loosely than its parent is put back in parentheses: *(*(m + 1) + 2), (a + b) * c
+     */
+    describeExpression(node) {
+        const wrap = (child, minimum) => {
+            const text = this.describeExpression(child);
+            return this.expressionPrecedence(child) < minimum ? `(${text})` : text;
+        };
+        switch (node.type) {
+            case 'Identifier': return node.name;
+            case 'Literal': return node.rawType === 'STRING' ? `"${node.value}"` : String(node.value);
+            case 'MemberExpression': return `${wrap(node.object, 16)}${node.operator}${node.property}`;
+            case 'IndexExpression': return wrap(node.arrayObject, 16) + node.indexExpressions.map(e => `[${this.describeExpression(e)}]`).join('');
+            case 'UnaryExpression': {
+                if (node.operator === 'sizeof') return `sizeof(${node.argument.type === 'TypeName' ? node.argument.value : this.describeExpression(node.argument)})`;
+                return node.isPostfix ? `${wrap(node.argument, 16)}${node.operator}` : `${node.operator}${wrap(node.argument, 15)}`;
+            }
+            case 'BinaryExpression': {
+                // Operadores binários associam à esquerda: a - (b - c) precisa dos parênteses, (a - b) - c não
+                const precedence = this.expressionPrecedence(node);
+                return `${wrap(node.left, precedence)} ${node.operator} ${wrap(node.right, precedence + 1)}`;
+            }
+            case 'AssignmentExpression': return `${wrap(node.left, 15)} ${node.operator} ${wrap(node.right, 2)}`;
+            case 'ConditionalExpression': return `${wrap(node.test, 5)} ? ${this.describeExpression(node.consequent)} : ${wrap(node.alternate, 3)}`;
+            case 'CallExpression': return `${wrap(node.callee, 16)}(...)`;
+            case 'CastExpression': return `(${node.targetType})${wrap(node.argument, 15)}`;
+            default: return '(...)';
+        }
+    }
+
+    // Precedência do operador no topo da expressão (maior = liga mais forte), como na tabela do C
+    expressionPrecedence(node) {
+        const binary = { '*': 14, '/': 14, '%': 14, '+': 13, '-': 13, '<<': 12, '>>': 12, '<': 11, '>': 11, '<=': 11, '>=': 11,
+            '==': 10, '!=': 10, '&': 9, '^': 8, '|': 7, '&&': 6, '||': 5 };
+        switch (node.type) {
+            case 'BinaryExpression': return binary[node.operator];
+            case 'UnaryExpression': return node.isPostfix ? 16 : 15;
+            case 'CastExpression': return 15;
+            case 'ConditionalExpression': return 3;
+            case 'AssignmentExpression': return 2;
+            case 'CommaExpression': return 1;
+            default: return 17; // Nomes, literais, chamadas, índices e membros
+        }
+    }
+
+    /**
+     * Apply a bitwise or shift operator with 32-bit C semantics
+     * @param {string} op - One of &, |, ^, <<, >>
+     * @param {number|bigint} l - Left operand
+     * @param {number|bigint} r - Right operand
+     * @param {boolean} unsigned - Whether the result type is unsigned (logical right shift)
+     * @returns {number|bigint} The 32-bit result (or the BigInt result for 64-bit operands)
+     */
+    bitwiseOperation(op, l, r, unsigned) {
+        // 64 bits: o operando já vem como BigInt (sem sinal quando unsigned), então >> já é lógico
+        if (typeof l === 'bigint') {
+            r = BigInt(r);
+            switch (op) {
+                case '&': return l & r;
+                case '|': return l | r;
+                case '^': return l ^ r;
+                case '<<': return l << r;
+                case '>>': return l >> r;
+            }
+        }
+        let result;
+        switch (op) {
+            case '&': result = l & r; break;
+            case '|': result = l | r; break;
+            case '^': result = l ^ r; break;
+            case '<<': result = l << r; break;
+            case '>>': result = unsigned ? (l >>> r) : (l >> r); break;
+        }
+        return unsigned ? (result >>> 0) : result;
+    }
+
+    checkIntegerOperands(op, node, types) {
+        if (types.some(t => t && (TypeSystem.isFloat(t) || TypeSystem.isPointer(t) || TypeSystem.isStruct(t)))) {
+            throw new Error(`[Linha ${node.line}] ⚠️ OPERAÇÃO INVÁLIDA: O operador '${op}' só aceita operandos inteiros.\n` +
+                "💡 Dica: Operações bit a bit e deslocamentos não funcionam com float, double, ponteiros ou structs.");
         }
     }
 
-    *visitReturn(node, env) { const ret = yield* this.visit(node.argument, env); return { type: 'RETURN', value: ret }; }
+    /**
+     * C truth value: any non-zero scalar is true (0, 0n and 0.0 are false)
+     */
+    isTrue(value) { return value !== 0 && value !== 0n && value !== false; }
+
+    *visitReturn(node, env) {
+        const ret = node.argument ? yield* this.visit(node.argument, env) : null;
+        return { type: 'RETURN', value: ret, hasValue: node.argument !== null, line: node.line };
+    }
 
     *visitIf(node, env) {
         const cond = yield* this.visit(node.condition, env);
-        if (cond !== 0 && cond !== false) {
+        if (this.isTrue(cond)) {
             const bEnv = new Environment(this.memory, env); const r = yield* this.visitBlock(node.consequent, bEnv); bEnv.destroy();
             if (r) return r;
         } else if (node.alternate) {
@@ -593,7 +2217,7 @@ class IFSCeeInterpreter {
             yield { type: 'STEP', nextLine: node.line, previousLine: this.lastLine, memory: this.memory }; this.lastLine = node.line;
             const cond = yield* this.visit(node.condition, env); if (!cond) break;
             const bEnv = new Environment(this.memory, env); const r = yield* this.visitBlock(node.body, bEnv); bEnv.destroy();
-            if (r && r.type === 'RETURN') return r; if (r && r.type === 'BREAK') break; if (r && r.type === 'CONTINUE') continue;
+            if (r && (r.type === 'RETURN' || r.type === 'GOTO')) return r; if (r && r.type === 'BREAK') break; if (r && r.type === 'CONTINUE') continue;
         }
         return null;
     }
@@ -601,7 +2225,7 @@ class IFSCeeInterpreter {
     *visitDoWhile(node, env) {
         do {
             const bEnv = new Environment(this.memory, env); const r = yield* this.visitBlock(node.body, bEnv); bEnv.destroy();
-            if (r && r.type === 'RETURN') return r; if (r && r.type === 'BREAK') break; if (r && r.type === 'CONTINUE') continue;
+            if (r && (r.type === 'RETURN' || r.type === 'GOTO')) return r; if (r && r.type === 'BREAK') break; if (r && r.type === 'CONTINUE') continue;
             yield { type: 'STEP', nextLine: node.line, previousLine: this.lastLine, memory: this.memory }; this.lastLine = node.line;
         } while (yield* this.visit(node.condition, env));
         return null;
@@ -614,14 +2238,163 @@ class IFSCeeInterpreter {
             yield { type: 'STEP', nextLine: node.line, previousLine: this.lastLine, memory: this.memory }; this.lastLine = node.line;
             if (node.condition) { const cond = yield* this.visit(node.condition, forEnv); if (!cond) break; }
             const bodyEnv = new Environment(this.memory, forEnv); const r = yield* this.visitBlock(node.body, bodyEnv); bodyEnv.destroy();
-            if (r && r.type === 'RETURN') { forEnv.destroy(); return r; }
+            if (r && (r.type === 'RETURN' || r.type === 'GOTO')) { forEnv.destroy(); return r; }
             if (r && r.type === 'BREAK') break;
             if (node.increment) yield* this.visit(node.increment, forEnv);
         }
         forEnv.destroy(); return null;
     }
 
+    *visitSwitch(node, env) {
+        // Os rótulos são convertidos para o tipo promovido da expressão do switch
+        const switchType = TypeSystem.promote(this.getExpressionType(node.discriminant, env) || CType.base('int'));
+        const value = TypeSystem.cast(yield* this.visit(node.discriminant, env), switchType);
+
+        const labels = yield* this.evaluateSwitchLabels(node, env);
+        let target = labels.findIndex((label, i) => node.cases[i].test !== null && TypeSystem.cast(label, switchType) === value);
+        const defaultIndex = node.cases.findIndex(c => c.test === null);
+        if (target === -1) target = defaultIndex;
+        if (target === -1) return null;
+
+        // Passo próprio para o salto até o rótulo escolhido
+        const memorySnapshot = this.memory.createSnapshot();
+        yield { type: 'STEP', nextLine: node.cases[target].line, previousLine: this.lastLine, memory: this.memory, memorySnapshot };
+        this.lastLine = node.cases[target].line;
+
+        // Fall-through: executa a partir do case escolhido até um break ou o fim do switch
+        // (os cases formam um único bloco, então um goto pode saltar entre eles)
+        const body = [], offsets = [];
+        for (const c of node.cases) { offsets.push(body.length); body.push(...c.consequent); }
+        const sEnv = new Environment(this.memory, env);
+        const r = yield* this.visitBlock(body, sEnv, offsets[target]);
+        sEnv.destroy();
+        return (r && r.type !== 'BREAK') ? r : null;
+    }
+
+    /**
+     * Values of a switch's case labels, computed (and checked for duplicates) the first time they are
+     * needed and reused on every later execution of the switch
+     * @returns {Array} One value per case, null for default
+     */
+    *evaluateSwitchLabels(node, env) {
+        if (this.switchLabels.has(node)) return this.switchLabels.get(node);
+        const labels = [], seen = new Map();
+        for (const c of node.cases) {
+            if (c.test === null) { labels.push(null); continue; }
+            if (!this.isConstantExpression(c.test, env)) {
+                throw new Error(`⚠️ ERRO DE SINTAXE [Linha ${c.line}]: O rótulo de um 'case' deve ser uma constante inteira.\n` +
+                    "💡 Dica: Use literais (1, 'a'), constantes de enum ou #define. Variáveis não podem ser usadas em 'case'.");
+            }
+            const label = yield* this.visit(c.test, env);
+            if (seen.has(String(label))) {
+                throw new Error(`⚠️ CASE DUPLICADO [Linha ${c.line}]: O valor ${label} já foi usado no 'case' da linha ${seen.get(String(label))}.\n` +
+                    "💡 Dica: Cada 'case' de um switch precisa ter um valor diferente.");
+            }
+            seen.set(String(label), c.line);
+            labels.push(label);
+        }
+        this.switchLabels.set(node, labels);
+        return labels;
+    }
+
+    /**
+     * Check the labels of every switch in a function body when the function is defined. A switch whose
+     * labels use names declared inside the function (a local enum, or a variable hiding a constant)
+     * is checked when it first runs
+     */
+    *checkSwitchLabels(func, env) {
+        const localNames = new Set([
+            ...func.params.map(p => p.name),
+            ...this.findNodes(func.body, 'EnumDeclaration').flatMap(e => e.enumerators.map(n => n.name)),
+            ...['VariableDeclaration', 'ArrayDeclaration'].flatMap(type => this.findNodes(func.body, type).map(d => d.name))
+        ]);
+        const visible = env.getAllVariableNames();
+        for (const node of this.findNodes(func.body, 'SwitchStatement')) {
+            const names = node.cases.filter(c => c.test !== null).flatMap(c => this.namesIn(c.test));
+            if (names.every(name => !localNames.has(name) && visible.includes(name))) yield* this.evaluateSwitchLabels(node, env);
+        }
+    }
+
+    // Todos os nós de um tipo dentro de uma subárvore da AST
+    findNodes(node, type) {
+        if (Array.isArray(node)) return node.flatMap(child => this.findNodes(child, type));
+        if (!node || typeof node !== 'object' || node instanceof CType) return [];
+        const children = Object.values(node).flatMap(child => child && typeof child === 'object' ? this.findNodes(child, type) : []);
+        return node.type === type ? [node, ...children] : children;
+    }
+
+    // Identificadores usados numa expressão (ex: os nomes de enum de um rótulo 'case A + B:')
+    namesIn(node) {
+        if (node.type === 'Identifier') return [node.name];
+        return ['left', 'right', 'argument', 'test', 'consequent', 'alternate'].flatMap(key => node[key] && node[key].type ? this.namesIn(node[key]) : []);
+    }
+
+    isConstantExpression(node, env) {
+        switch (node.type) {
+            case 'Literal': return node.rawType !== 'STRING';
+            case 'Identifier': { const sym = env.resolveAddress(node.name); return !!sym && sym.type === 'EnumConstant'; }
+            case 'UnaryExpression': return node.operator === 'sizeof' || (['!', '~', '-', '+'].includes(node.operator) && this.isConstantExpression(node.argument, env));
+            case 'BinaryExpression': return this.isConstantExpression(node.left, env) && this.isConstantExpression(node.right, env);
+            case 'CastExpression': return TypeSystem.isArithmetic(node.targetType) && this.isConstantExpression(node.argument, env);
+            case 'ConditionalExpression': return [node.test, node.consequent, node.alternate].every(n => this.isConstantExpression(n, env));
+            default: return false;
+        }
+    }
+
+    nonConstantInitializerError(node, env, message) {
+        const hint = env === this.globalScope
+            ? "Globais são inicializadas antes de main; use literais, constantes de enum, strings ou endereços de outras globais."
+            : "Um local static é inicializado uma única vez, antes da primeira chamada; use literais, constantes de enum, strings ou endereços de globais.";
+        return new Error(`[Linha ${node.line}] ⚠️ INICIALIZADOR NÃO CONSTANTE: ${message}\n💡 Dica: ${hint}`);
+    }
+
+    /**
+     * Static locals are allocated in .data/.bss the first time their declaration runs;
+     * later executions only make the same object visible again in the new scope
+     */
+    rebindStaticLocal(node, env) {
+        if (!node.isStatic || !this.staticLocals.has(node)) return false;
+        env.symbols.set(node.name, this.staticLocals.get(node));
+        return true;
+    }
+
+    registerStaticLocal(node, env) {
+        if (env === this.globalScope) return; // static global: só muda a visibilidade entre arquivos
+        const address = env.symbols.get(node.name);
+        this.staticLocals.set(node, address);
+        // O painel de memória usa isStatic/owner para mostrar a que função o local pertence
+        const meta = this.memory.allocations.get(address);
+        meta.isStatic = true;
+        meta.owner = this.callStack.length > 0 ? this.callStack[this.callStack.length - 1].name : 'main';
+    }
+
+    // Inicializadores de globais: constantes, strings ou endereços de objetos globais
+    isStaticInitializer(node, env) {
+        if (node.type === 'Literal') return true;
+        if (node.type === 'InitializerList') return node.elements.every(e => this.isStaticInitializer(e.value, env));
+        if (node.type === 'UnaryExpression' && node.operator === '&') return this.isAddressConstant(node.argument, env);
+        if (node.type === 'CastExpression' && TypeSystem.isPointer(node.targetType)) return this.isStaticInitializer(node.argument, env); // (char *)&x
+        if (node.type === 'Identifier') { const meta = this.memory.allocations.get(env.resolveAddress(node.name)); if (meta && meta.isArray) return true; }
+        return this.isConstantExpression(node, env);
+    }
+
+    // &g, &v[2], &s.campo: endereço de um objeto com deslocamento conhecido antes da execução
+    isAddressConstant(node, env) {
+        switch (node.type) {
+            case 'Identifier': return true;
+            case 'IndexExpression': return this.isAddressConstant(node.arrayObject, env) && node.indexExpressions.every(e => this.isConstantExpression(e, env));
+            case 'MemberExpression': return node.operator === '.' && this.isAddressConstant(node.object, env);
+            default: return false;
+        }
+    }
+
     visitLiteral(node) {
-        if(node.rawType === 'STRING') return this.memory.allocateStringLiteral(node.value); return node.value;
+        if(node.rawType === 'STRING') return this.memory.allocateStringLiteral(node.value);
+        // Literais de 64 bits são relidos da grafia original: o número do lexer perde precisão acima de 2^53
+        if (node.raw && TypeSystem.is64BitInteger(TypeSystem.getLiteralType(node.value, node.raw))) {
+            const digits = node.raw.replace(/[uUlL]+$/, '');
+            return BigInt(/^0[0-7]+$/.test(digits) ? '0o' + digits.slice(1) : digits);
+        }
+        return node.value;
     }
 }
\ No newline at end of file
@@ -173,6 +173,14 @@ class IFSCeeLexer {
                 continue;
             }
 
+            // Ellipsis of variadic parameter lists: int soma(int n, ...)
+            if (this.sourceCode.startsWith('...', this.position)) {
+                this.tokens.push({ type: TokenType.PUNCTUATION, value: '...', line: this.currentLine, column: this.currentColumn });
+                this.position += 3;
+                this.currentColumn += 3;
+                continue;
+            }
+
             // Punctuation (braces, parens, brackets, semicolon, comma, etc.)
             if (/[{}()[\];,.]/.test(char)) {
                 this.tokens.push({
@@ -1,25 +1,95 @@
 class ProgramNode { constructor() { this.type = 'Program'; this.body = []; this.line = 1; } }
-class FunctionDeclarationNode { constructor(rt, n, p, b, l) { this.type = 'FunctionDeclaration'; this.returnType = rt; this.name = n; this.params = p; this.body = b; this.line = l; } }
+class FunctionDeclarationNode { constructor(rt, n, p, b, l, v = false) { this.type = 'FunctionDeclaration'; this.returnType = rt; this.name = n; this.params = p; this.body = b; this.line = l; this.isVariadic = v; } }
+class FunctionPrototypeNode { constructor(rt, n, p, l, v = false) { this.type = 'FunctionPrototype'; this.returnType = rt; this.name = n; this.params = p; this.line = l; this.isVariadic = v; } }
 class VariableDeclarationNode { constructor(vt, n, ie, l) { this.type = 'VariableDeclaration'; this.varType = vt; this.name = n; this.initExpression = ie; this.line = l; } }
-class ArrayDeclarationNode { constructor(vt, n, sizeExprs, l) { this.type = 'ArrayDeclaration'; this.varType = vt; this.name = n; this.sizeExpressions = sizeExprs; this.line = l; } }
+class ArrayDeclarationNode { constructor(vt, n, sizeExprs, init, l) { this.type = 'ArrayDeclaration'; this.varType = vt; this.name = n; this.sizeExpressions = sizeExprs; this.initializer = init; this.line = l; } }
+class DeclarationListNode { constructor(decls, l) { this.type = 'DeclarationList'; this.declarations = decls; this.line = l; } }
+class InitializerListNode { constructor(elements, l) { this.type = 'InitializerList'; this.elements = elements; this.line = l; } }
 class ReturnStatementNode { constructor(a, l) { this.type = 'ReturnStatement'; this.argument = a; this.line = l; } }
 class BinaryExpressionNode { constructor(l, o, r, line) { this.type = 'BinaryExpression'; this.left = l; this.operator = o; this.right = r; this.line = line; } }
-class UnaryExpressionNode { constructor(o, a, l) { this.type = 'UnaryExpression'; this.operator = o; this.argument = a; this.line = l; } }
+class UnaryExpressionNode { constructor(o, a, l, postfix = false) { this.type = 'UnaryExpression'; this.operator = o; this.argument = a; this.line = l; this.isPostfix = postfix; } }
 class AssignmentExpressionNode { constructor(l, o, r, line) { this.type = 'AssignmentExpression'; this.left = l; this.operator = o; this.right = r; this.line = line; } }
+class ConditionalExpressionNode { constructor(t, c, a, l) { this.type = 'ConditionalExpression'; this.test = t; this.consequent = c; this.alternate = a; this.line = l; } }
+class CommaExpressionNode { constructor(exprs, l) { this.type = 'CommaExpression'; this.expressions = exprs; this.line = l; } }
 class IndexExpressionNode { constructor(ao, indexExprs, l) { this.type = 'IndexExpression'; this.arrayObject = ao; this.indexExpressions = indexExprs; this.line = l; } }
-class LiteralNode { constructor(v, rt, l) { this.type = 'Literal'; this.value = v; this.rawType = rt; this.line = l; } }
+class LiteralNode { constructor(v, rt, l, raw) { this.type = 'Literal'; this.value = v; this.rawType = rt; this.line = l; this.raw = raw; } }
 class IdentifierNode { constructor(n, l) { this.type = 'Identifier'; this.name = n; this.line = l; } }
 class CallExpressionNode { constructor(c, a, l) { this.type = 'CallExpression'; this.callee = c; this.arguments = a; this.line = l; } }
 class IfStatementNode { constructor(cond, cons, alt, l) { this.type = 'IfStatement'; this.condition = cond; this.consequent = cons; this.alternate = alt; this.line = l; } }
 class WhileStatementNode { constructor(cond, body, l) { this.type = 'WhileStatement'; this.condition = cond; this.body = body; this.line = l; } }
 class DoWhileStatementNode { constructor(body, cond, l) { this.type = 'DoWhileStatement'; this.body = body; this.condition = cond; this.line = l; } }
 class ForStatementNode { constructor(init, cond, inc, body, l) { this.type = 'ForStatement'; this.init = init; this.condition = cond; this.increment = inc; this.body = body; this.line = l; } }
+class SwitchStatementNode { constructor(d, cases, l) { this.type = 'SwitchStatement'; this.discriminant = d; this.cases = cases; this.line = l; } }
+class SwitchCaseNode { constructor(t, cons, l) { this.type = 'SwitchCase'; this.test = t; this.consequent = cons; this.line = l; } }
+class LabeledStatementNode { constructor(lb, b, l) { this.type = 'LabeledStatement'; this.label = lb; this.body = b; this.line = l; } }
+class GotoStatementNode { constructor(lb, l) { this.type = 'GotoStatement'; this.label = lb; this.line = l; } }
+class BlockStatementNode { constructor(b, l) { this.type = 'BlockStatement'; this.body = b; this.line = l; } }
+class EmptyStatementNode { constructor(l) { this.type = 'EmptyStatement'; this.line = l; } }
 class BreakStatementNode { constructor(l) { this.type = 'BreakStatement'; this.line = l; } }
 class ContinueStatementNode { constructor(l) { this.type = 'ContinueStatement'; this.line = l; } }
 class TypeNameNode { constructor(n) { this.type = 'TypeName'; this.value = n; } }
+class CastExpressionNode { constructor(t, a, l) { this.type = 'CastExpression'; this.targetType = t; this.argument = a; this.line = l; } }
+class StructDeclarationNode { constructor(k, tag, members, l) { this.type = 'StructDeclaration'; this.kind = k; this.tag = tag; this.members = members; this.declaration = null; this.line = l; } }
+class EnumDeclarationNode { constructor(tag, enumerators, l) { this.type = 'EnumDeclaration'; this.kind = 'enum'; this.tag = tag; this.enumerators = enumerators; this.declaration = null; this.line = l; } }
+class TypedefDeclarationNode { constructor(n, at, def, l) { this.type = 'TypedefDeclaration'; this.name = n; this.aliasedType = at; this.definition = def; this.line = l; } }
+class MemberExpressionNode { constructor(o, p, op, l) { this.type = 'MemberExpression'; this.object = o; this.property = p; this.operator = op; this.line = l; } }
+
+/**
+ * Structured C type built by the declarator parser. A type is a chain of layers read from
+ * the outside in, ending in a base type:
+ *   'base'     - name: 'int', 'unsigned char', 'struct Ponto', 'enum Cor' or a typedef name
+ *   'pointer'  - target: the pointed-to type
+ *   'array'    - target: the element type; length: element count (null while unknown)
+ *   'function' - target: the return type; params: parameter types; isVariadic
+ * Qualifiers belong to the layer they apply to: in "char * const p" the pointer is const,
+ * in "const char *p" the chars are.
+ */
+class CType {
+    constructor(kind, fields) { this.kind = kind; this.qualifiers = []; Object.assign(this, fields); }
+    static base(name, qualifiers = []) { return new CType('base', { name, qualifiers }); }
+    static pointer(target, qualifiers = []) { return new CType('pointer', { target, qualifiers }); }
+    // lengthExpression: tamanho escrito no código, avaliado pelo interpretador quando não é um literal
+    static array(target, length = null, lengthExpression = null) { return new CType('array', { target, length, lengthExpression }); }
+    static func(target, params = [], isVariadic = false) { return new CType('function', { target, params, isVariadic }); }
+
+    /**
+     * Copy of this layer with extra qualifiers (e.g. "const Idade" applies const to the aliased type)
+     * @param {Array<string>} qualifiers - Qualifiers to add
+     * @returns {CType}
+     */
+    withQualifiers(qualifiers) {
+        const merged = [...new Set([...this.qualifiers, ...qualifiers])];
+        return merged.length === this.qualifiers.length ? this : Object.assign(Object.create(CType.prototype), this, { qualifiers: merged });
+    }
+
+    /**
+     * C spelling of the type, e.g. "const char *", "char * const", "int (*)[10]", "int (*)(int, int)"
+     * @param {string} [inner=''] - Declarator text built by the outer layers
+     * @returns {string}
+     */
+    toString(inner = '') {
+        const quals = this.qualifiers.join(' ');
+        // '[]' e '()' têm precedência sobre '*': um ponteiro dentro deles precisa de parênteses
+        const grouped = inner.startsWith('*') ? `(${inner})` : inner;
+        switch (this.kind) {
+            case 'pointer': return this.target.toString(`*${quals ? ` ${quals}${inner ? ' ' : ''}` : ''}${inner}`);
+            case 'array': return this.target.toString(`${grouped}[${this.length === null ? '' : this.length}]`);
+            case 'function': {
+                const params = [...this.params.map(String), ...(this.isVariadic ? ['...'] : [])].join(', ') || 'void';
+                return this.target.toString(`${grouped}(${params})`);
+            }
+            default: return `${quals ? `${quals} ` : ''}${this.name}${inner ? ` ${inner}` : ''}`;
+        }
+    }
+}
 
 class IFSCeeParser {
-    constructor(tokens) { this.tokens = tokens; this.position = 0; }
+    constructor(tokens) {
+        this.tokens = tokens; this.position = 0; this.anonymousTagCount = 0;
+        // Um mapa por bloco: nome criado por typedef -> tipo original, ou null quando uma variável do bloco esconde o typedef de fora (va_list vem de <stdarg.h>)
+        this.typedefScopes = [new Map([['va_list', CType.pointer(CType.base('char'))]])];
+        this.functionLabels = new Map(); this.pendingGotos = []; // Rótulos e gotos da função atual
+    }
     peek() { return this.tokens[this.position]; }
     consume(expectedType, expectedValue = null) {
         const token = this.tokens[this.position];
@@ -30,71 +100,329 @@ class IFSCeeParser {
         this.position++; return token;
     }
 
+    /**
+     * Type named by a typedef visible at this point, or null (typedefs follow block scope like variables)
+     * @param {string} name - Identifier
+     * @returns {CType|null}
+     */
+    lookupTypedef(name) {
+        for (let i = this.typedefScopes.length - 1; i >= 0; i--) {
+            if (this.typedefScopes[i].has(name)) return this.typedefScopes[i].get(name);
+        }
+        return null;
+    }
+    // Registra um nome no bloco atual: com tipo é um typedef; sem tipo, uma variável que esconde o typedef de mesmo nome
+    declareName(name, type = null) {
+        if (type !== null || this.lookupTypedef(name)) this.typedefScopes[this.typedefScopes.length - 1].set(name, type);
+    }
+    // Analisa parse() dentro de um novo bloco: os typedefs e variáveis declarados nele somem no fim
+    withScope(parse) {
+        this.typedefScopes.push(new Map());
+        try { return parse(); } finally { this.typedefScopes.pop(); }
+    }
+
     isTypeKeyword(token) {
-        const typeKeys = ['int', 'char', 'void', 'float', 'double', 'short', 'long', 'unsigned', 'signed', '_Bool', 'const', 'volatile', 'static', 'extern'];
+        // Um nome de typedef inicia uma declaração como qualquer tipo embutido (ex: Idade x;)
+        if (token && token.type === 'IDENTIFIER' && this.lookupTypedef(token.value)) return true;
+        const typeKeys = ['int', 'char', 'void', 'float', 'double', 'short', 'long', 'unsigned', 'signed', '_Bool', 'const', 'volatile', 'static', 'extern', 'struct', 'union', 'enum'];
         return token && token.type === 'KEYWORD' && typeKeys.includes(token.value);
     }
 
-    parseTypeStr() {
-        let modifiers = [];
-        while (this.isTypeKeyword(this.peek())) modifiers.push(this.consume('KEYWORD').value);
-        while (this.peek().value === '*') { modifiers.push('*'); this.consume('OPERATOR', '*'); }
-        return modifiers.join(' ');
+    // Definição de struct/union/enum: "struct Tag {" ou "enum {" (anônima)
+    isTagDefinition() {
+        const token = this.peek(); const next = this.tokens[this.position + 1];
+        if (token.type !== 'KEYWORD' || !['struct', 'union', 'enum'].includes(token.value) || !next) return false;
+        if (next.value === '{') return true;
+        return next.type === 'IDENTIFIER' && this.tokens[this.position + 2] && this.tokens[this.position + 2].value === '{';
+    }
+
+    /**
+     * Declaration specifiers: storage class, qualifiers and base type ("static const unsigned long")
+     * @returns {{type: CType, isStatic: boolean}} The base type and whether 'static' was given
+     */
+    parseSpecifiers() {
+        const words = [], qualifiers = []; let name = null, isStatic = false;
+        const line = this.peek().line;
+        while (this.isTypeKeyword(this.peek())) {
+            // Nome de typedef só vale como tipo se nenhum tipo base apareceu antes (ex: "const Idade", mas não "int Idade")
+            if (this.peek().type === 'IDENTIFIER' && (name || words.length > 0)) break;
+            const token = this.consume(this.peek().type);
+            if (token.type === 'IDENTIFIER') name = token.value;
+            else if (['const', 'volatile'].includes(token.value)) { if (!qualifiers.includes(token.value)) qualifiers.push(token.value); }
+            else if (token.value === 'static') isStatic = true; // Classe de armazenamento: não faz parte do tipo
+            else if (token.value === 'extern') continue;
+            // O nome da struct/union/enum faz parte do tipo (ex: "struct Ponto")
+            else if (['struct', 'union', 'enum'].includes(token.value)) name = `${token.value} ${this.consume('IDENTIFIER').value}`;
+            else words.push(token.value);
+        }
+        return { type: CType.base(name || this.canonicalBaseName(words, line), qualifiers), isStatic };
+    }
+
+    // Grafia única para cada tipo aritmético: "unsigned" -> "unsigned int", "long int" -> "long", "signed short" -> "short"
+    canonicalBaseName(words, line) {
+        const count = w => words.filter(x => x === w).length;
+        const isUnsigned = count('unsigned') > 0, longs = count('long');
+        if ((isUnsigned && count('signed') > 0) || longs > 2) throw new Error(`[Linha ${line}] Combinação de tipos inválida: '${words.join(' ')}'.`);
+        for (const single of ['void', '_Bool', 'float']) if (count(single)) return single;
+        if (count('double')) return longs ? 'long double' : 'double';
+        const sign = isUnsigned ? 'unsigned ' : '';
+        if (count('char')) return isUnsigned ? 'unsigned char' : (count('signed') ? 'signed char' : 'char');
+        if (count('short')) return `${sign}short`;
+        if (longs) return `${sign}${longs === 2 ? 'long long' : 'long'}`;
+        return `${sign}int`;
+    }
+
+    // Nome de tipo sem variável, como em sizeof(int *), va_arg(ap, double) e casts: (char **) p
+    parseTypeName() {
+        return this.parseDeclarator(this.parseSpecifiers().type, true).type;
     }
 
     parse() {
         const program = new ProgramNode();
-        while (this.peek().type !== 'EOF') program.body.push(this.parseFunctionDeclaration());
+        while (this.peek().type !== 'EOF') {
+            if (this.peek().value === 'typedef') program.body.push(this.parseTypedefDeclaration());
+            else if (this.isTagDefinition()) program.body.push(this.parseTagDefinition());
+            else {
+                // Um declarador de função seguido de '{' é uma definição; qualquer outra coisa é uma declaração global
+                const specifiers = this.parseSpecifiers();
+                const declarator = this.parseDeclarator(specifiers.type);
+                program.body.push(declarator.type.kind === 'function' && this.peek().value === '{'
+                    ? this.parseFunctionDefinition(declarator)
+                    : this.parseDeclaration(specifiers, declarator));
+            }
+        }
         return program;
     }
 
-    parseFunctionDeclaration() {
-        const typeStr = this.parseTypeStr();
-        const nameToken = this.consume('IDENTIFIER');
-        this.consume('PUNCT', '(');
-        const params = [];
+    parseTagDefinition() {
+        const node = this.peek().value === 'enum' ? this.parseEnumDeclaration() : this.parseStructDeclaration();
+        return this.parseTagDefinitionTail(node);
+    }
 
-        while (this.peek().value !== ')' && this.peek().type !== 'EOF') {
-            const pTypeStr = this.parseTypeStr();
-            const pNameToken = this.consume('IDENTIFIER');
+    // typedef <tipo> Nome;  |  typedef struct { ... } Nome;  |  typedef int (*Comparador)(const void *, const void *);  |  typedef int Vetor[3];
+    parseTypedefDeclaration() {
+        const typedefToken = this.consume('KEYWORD', 'typedef');
+        let definition = null; let base;
+        if (this.isTagDefinition()) {
+            definition = this.peek().value === 'enum' ? this.parseEnumDeclaration() : this.parseStructDeclaration();
+            base = CType.base(`${definition.kind} ${definition.tag}`);
+        } else {
+            base = this.parseSpecifiers().type;
+        }
+        const declarator = this.parseDeclarator(base);
+        this.consume('PUNCT', ';');
+        this.declareName(declarator.name, declarator.type);
+        return new TypedefDeclarationNode(declarator.name, declarator.type, definition, typedefToken.line);
+    }
 
-            // Suporte para arrays passados como parâmetros (ex: char *argv[])
-            let isArray = false;
-            while (this.peek().value === '[') {
-                this.consume('PUNCT', '[');
-                if (this.peek().value !== ']') this.parseExpression();
-                this.consume('PUNCT', ']');
-                isArray = true;
+    parseStructDeclaration() {
+        const structToken = this.consume('KEYWORD'); const kind = structToken.value;
+        const tag = this.peek().type === 'IDENTIFIER' ? this.consume('IDENTIFIER').value : `anônima#${++this.anonymousTagCount}`;
+        this.consume('PUNCT', '{');
+        const members = [];
+
+        while (this.peek().value !== '}' && this.peek().type !== 'EOF') {
+            const base = this.parseSpecifiers().type;
+
+            // Vários membros na mesma linha (ex: float r, g, b;)
+            while (true) {
+                const declarator = this.parseDeclarator(base);
+                if (members.some(m => m.name === declarator.name)) {
+                    throw new Error(`[Linha ${declarator.line}] Membro '${declarator.name}' duplicado em '${kind} ${tag}'.`);
+                }
+                const { elementType, sizeExpressions } = this.splitArrayLayers(declarator);
+                if (sizeExpressions.includes(null)) throw new Error(`[Linha ${declarator.line}] O membro '${declarator.name}' precisa de um tamanho entre os colchetes.`);
+                members.push({ type: elementType, name: declarator.name, sizeExpressions });
+                if (this.peek().value !== ',') break;
+                this.consume('PUNCT', ',');
+            }
+            this.consume('PUNCT', ';');
+        }
+        this.consume('PUNCT', '}');
+
+        return new StructDeclarationNode(kind, tag, members, structToken.line);
+    }
+
+    parseEnumDeclaration() {
+        const enumToken = this.consume('KEYWORD', 'enum');
+        const tag = this.peek().type === 'IDENTIFIER' ? this.consume('IDENTIFIER').value : `anônima#${++this.anonymousTagCount}`;
+        this.consume('PUNCT', '{');
+        const enumerators = [];
+
+        while (this.peek().value !== '}' && this.peek().type !== 'EOF') {
+            const nameToken = this.consume('IDENTIFIER');
+            if (enumerators.some(e => e.name === nameToken.value)) {
+                throw new Error(`[Linha ${nameToken.line}] Enumerador '${nameToken.value}' duplicado em 'enum ${tag}'.`);
             }
+            // Valor explícito (ex: OK = 200) ou implícito (anterior + 1)
+            let valueExpr = null;
+            if (this.peek().value === '=') { this.consume('OPERATOR', '='); valueExpr = this.parseConditional(); }
+            enumerators.push({ name: nameToken.value, valueExpression: valueExpr, line: nameToken.line });
+            if (this.peek().value !== ',') break;
+            this.consume('PUNCT', ','); // Vírgula final é permitida em C99
+        }
+        this.consume('PUNCT', '}');
+        return new EnumDeclarationNode(tag, enumerators, enumToken.line);
+    }
+
+    // Após o '}': fim da definição (';') ou declaração junto dela (ex: struct Ponto { ... } p;)
+    parseTagDefinitionTail(node) {
+        if (this.peek().value === ';') { this.consume('PUNCT', ';'); return node; }
+        node.declaration = this.parseDeclaration({ type: CType.base(`${node.kind} ${node.tag}`), isStatic: false });
+        return node;
+    }
 
-            // Arrays em assinaturas de funções decaem para ponteiros (*)
-            params.push({ type: pTypeStr + (isArray ? '*' : ''), name: pNameToken.value });
+    // O declarador já lido (ex: "int *busca(int v[], int n)") recebe o corpo { ... }
+    parseFunctionDefinition(declarator) {
+        const { name, type, params, line } = declarator;
+        const unnamed = params.findIndex(p => p.name === null);
+        if (unnamed !== -1) {
+            throw new Error(`[Linha ${line}] O ${unnamed + 1}º parâmetro da função '${name}' precisa de um nome na definição.`);
+        }
+        this.functionLabels = new Map(); this.pendingGotos = [];
+        const body = this.withScope(() => { params.forEach(p => this.declareName(p.name)); return this.parseBlockStatement(); });
+        for (const g of this.pendingGotos) {
+            if (!this.functionLabels.has(g.label)) throw new Error(`[Linha ${g.line}] Rótulo '${g.label}' usado em goto não existe na função '${name}'.`);
+        }
+        return new FunctionDeclarationNode(type.target, name, params, body, line, type.isVariadic);
+    }
+
+    // Lista de parâmetros entre parênteses (sem consumir os parênteses nem um '...' final)
+    parseParameterList() {
+        const params = [];
+        while (this.peek().value !== ')' && this.peek().value !== '...' && this.peek().type !== 'EOF') {
+            const base = this.parseSpecifiers().type;
+            if (base.name === 'void' && params.length === 0 && this.peek().value === ')') break; // f(void): nenhum parâmetro
+            // Em protótipos o nome do parâmetro é opcional (ex: int soma(int, int);)
+            const declarator = this.parseDeclarator(base, true);
+            params.push({ type: this.adjustParameterType(this.expandArrayTypedef(declarator.type)), name: declarator.name });
             if (this.peek().value === ',') this.consume('PUNCT', ',');
         }
-        this.consume('PUNCT', ')');
-        const body = this.parseBlockStatement();
-        return new FunctionDeclarationNode(typeStr, nameToken.value, params, body, nameToken.line);
+        return params;
     }
 
-    parseBlockStatement() {
-        this.consume('PUNCT', '{'); const statements = [];
-        while (this.peek().value !== '}' && this.peek().type !== 'EOF') statements.push(this.parseStatement());
-        this.consume('PUNCT', '}'); return statements;
+    // Parâmetros array e função viram ponteiros: char *argv[] -> char **, int m[][3] -> int (*)[3]
+    adjustParameterType(type) {
+        if (type.kind === 'array') return CType.pointer(type.target, type.qualifiers);
+        if (type.kind === 'function') return CType.pointer(type);
+        return type;
     }
 
-    parseStatement() {
-        const token = this.peek();
+    // '...' no fim da lista: os argumentos extras são lidos com va_start/va_arg a partir do último parâmetro nomeado
+    parseEllipsis(params, name) {
+        if (this.peek().value !== '...') return false;
+        const ellipsis = this.consume('PUNCT', '...');
+        if (params.length === 0) {
+            const where = name ? `de '${name}'` : 'do tipo de função';
+            throw new Error(`[Linha ${ellipsis.line}] A lista de parâmetros ${where} precisa de ao menos um parâmetro nomeado antes de '...'.`);
+        }
+        return true;
+    }
 
-        if (this.isTypeKeyword(token)) {
-            const typeStr = this.parseTypeStr();
+    /**
+     * Declarator: the part of a declaration that names the object and derives its type from the
+     * base type with '*', '[n]' and '(params)', e.g. "*v[3]" (array of pointers), "(*p)[3]"
+     * (pointer to array), "*f(int)" (function returning a pointer), "(*fp)(int)" (function pointer)
+     * @param {CType} base - Type given by the declaration specifiers
+     * @param {boolean} [abstract=false] - Whether the name may be omitted (parameters, type names)
+     * @returns {{name: string|null, type: CType, params: Array<Object>|null, line: number}}
+     *          params: named parameters when the declarator declares a function
+     */
+    parseDeclarator(base, abstract = false) {
+        const line = this.peek().line;
+        const layers = this.parseDeclaratorLayers(abstract);
+        return { name: layers.name, type: layers.derive(base), params: layers.params, line: layers.line || line };
+    }
 
-            // A CORREÇÃO: O lookahead precisa do "+ 1" para pular o IDENTIFIER e ver o '[' !
-            if (this.tokens[this.position + 1] && this.tokens[this.position + 1].value === '[') {
-                return this.parseArrayDeclaration(typeStr);
+    // Lê os '*', o nome (ou um declarador entre parênteses) e os sufixos '[]'/'()'
+    parseDeclaratorLayers(abstract) {
+        const pointers = [];
+        while (this.peek().value === '*') {
+            this.consume('OPERATOR', '*');
+            const qualifiers = [];
+            while (['const', 'volatile'].includes(this.peek().value)) qualifiers.push(this.consume('KEYWORD').value);
+            pointers.push(qualifiers);
+        }
+        let inner = null, name = null, line = null;
+        const next = this.tokens[this.position + 1];
+        if (this.peek().type === 'IDENTIFIER') {
+            const nameToken = this.consume('IDENTIFIER'); name = nameToken.value; line = nameToken.line;
+        } else if (this.peek().value === '(' && next && next.value === '*') {
+            // (*p): os parênteses fazem o '*' valer antes dos sufixos
+            this.consume('PUNCT', '('); inner = this.parseDeclaratorLayers(abstract); this.consume('PUNCT', ')');
+            ({ name, line } = inner);
+        } else if (!abstract) {
+            throw new Error(`[Linha ${this.peek().line}] Esperado um nome na declaração, encontrado '${this.peek().value}'.`);
+        }
+        const suffixes = []; let params = inner ? inner.params : null;
+        while (this.peek().value === '[' || this.peek().value === '(') {
+            if (this.consume('PUNCT').value === '[') {
+                const lengthExpression = this.peek().value === ']' ? null : this.parseExpression();
+                this.consume('PUNCT', ']');
+                const length = lengthExpression && lengthExpression.type === 'Literal' ? lengthExpression.value : null;
+                suffixes.push(target => CType.array(target, length, lengthExpression));
+            } else {
+                const list = this.parseParameterList(); const isVariadic = this.parseEllipsis(list, name);
+                this.consume('PUNCT', ')');
+                if (suffixes.length === 0 && !inner) params = list; // Parâmetros da própria função declarada
+                suffixes.push(target => CType.func(target, list.map(p => p.type), isVariadic));
             }
+        }
+        // Camadas de fora para dentro: primeiro os '*', depois os sufixos da direita para a esquerda
+        const derive = base => {
+            let type = base;
+            for (const qualifiers of pointers) type = CType.pointer(type, qualifiers);
+            for (let i = suffixes.length - 1; i >= 0; i--) type = suffixes[i](type);
+            return inner ? inner.derive(type) : type;
+        };
+        return { name, line, params, derive };
+    }
+
+    /**
+     * Separate the outer array layers of a declarator: "int m[2][3]" -> element int, sizes [2, 3]
+     * @returns {{elementType: CType, sizeExpressions: Array<Object|null>}}
+     */
+    splitArrayLayers(declarator) {
+        let elementType = this.expandArrayTypedef(declarator.type); const sizeExpressions = [];
+        while (elementType.kind === 'array') { sizeExpressions.push(elementType.lengthExpression); elementType = elementType.target; }
+        return { elementType, sizeExpressions };
+    }
 
-            return this.parseVariableDeclaration(typeStr);
+    /**
+     * Replace a typedef of an array by its array layers, so "Vetor v;" (typedef int Vetor[3])
+     * is declared like "int v[3]" and "Vetor m[2]" like "int m[2][3]"
+     * @param {CType} type - Declared type
+     * @returns {CType} The same type, with array typedefs expanded
+     */
+    expandArrayTypedef(type) {
+        if (type.kind === 'array') {
+            const target = this.expandArrayTypedef(type.target);
+            return target === type.target ? type : CType.array(target, type.length, type.lengthExpression);
         }
+        const aliased = type.kind === 'base' ? this.lookupTypedef(type.name) : null;
+        if (!aliased || aliased.kind !== 'array') return type;
+        // Qualificadores de um array valem para os elementos: "const Vetor v" é "const int v[3]"
+        const qualify = t => t.kind === 'array' ? CType.array(qualify(t.target), t.length, t.lengthExpression) : t.withQualifiers(type.qualifiers);
+        return this.expandArrayTypedef(qualify(aliased));
+    }
+
+    parseBlockStatement() {
+        return this.withScope(() => {
+            this.consume('PUNCT', '{'); const statements = [];
+            while (this.peek().value !== '}' && this.peek().type !== 'EOF') statements.push(this.parseStatement());
+            this.consume('PUNCT', '}'); return statements;
+        });
+    }
+
+    parseStatement() {
+        const token = this.peek();
+
+        if (token.type === 'KEYWORD' && token.value === 'typedef') return this.parseTypedefDeclaration();
+        if (this.isTagDefinition()) return this.parseTagDefinition();
+        if (this.isTypeKeyword(token)) return this.parseDeclaration();
+        // Bloco aninhado { ... } (com escopo próprio) e comando vazio (ex: for (i = 0; s[i]; i++);)
+        if (token.type === 'PUNCT' && token.value === '{') return new BlockStatementNode(this.parseBlockStatement(), token.line);
+        if (token.type === 'PUNCT' && token.value === ';') { this.consume('PUNCT', ';'); return new EmptyStatementNode(token.line); }
 
         if (token.type === 'KEYWORD') {
             switch(token.value) {
@@ -102,29 +430,91 @@ class IFSCeeParser {
                 case 'while': return this.parseWhileStatement();
                 case 'for': return this.parseForStatement();
                 case 'do': return this.parseDoWhileStatement();
+                case 'switch': return this.parseSwitchStatement();
                 case 'break': this.consume('KEYWORD'); this.consume('PUNCT', ';'); return new BreakStatementNode(token.line);
                 case 'continue': this.consume('KEYWORD'); this.consume('PUNCT', ';'); return new ContinueStatementNode(token.line);
                 case 'return': return this.parseReturnStatement();
+                case 'goto': {
+                    this.consume('KEYWORD', 'goto'); const labelToken = this.consume('IDENTIFIER'); this.consume('PUNCT', ';');
+                    const node = new GotoStatementNode(labelToken.value, token.line);
+                    this.pendingGotos.push(node); return node;
+                }
             }
         }
+        const next = this.tokens[this.position + 1];
+        if (token.type === 'IDENTIFIER' && next && next.value === ':') return this.parseLabeledStatement();
         const expr = this.parseExpression(); this.consume('PUNCT', ';'); return expr;
     }
 
-    parseVariableDeclaration(typeStr) {
-        const nameToken = this.consume('IDENTIFIER');
-        let initExpr = null; if (this.peek().value === '=') { this.consume('OPERATOR', '='); initExpr = this.parseExpression(); }
-        this.consume('PUNCT', ';');
-        return new VariableDeclarationNode(typeStr, nameToken.value, initExpr, nameToken.line);
+    parseLabeledStatement() {
+        const labelToken = this.consume('IDENTIFIER'); this.consume('OPERATOR', ':');
+        if (this.functionLabels.has(labelToken.value)) {
+            throw new Error(`[Linha ${labelToken.line}] Rótulo '${labelToken.value}' já foi definido na linha ${this.functionLabels.get(labelToken.value)}.`);
+        }
+        this.functionLabels.set(labelToken.value, labelToken.line);
+        // Um rótulo logo antes de '}' não marca nenhum comando (ex: "fim: }")
+        const body = this.peek().value === '}' ? null : this.parseStatement();
+        return new LabeledStatementNode(labelToken.value, body, labelToken.line);
     }
 
-    parseArrayDeclaration(typeStr) {
-        const nameToken = this.consume('IDENTIFIER');
-        const sizeExprs = [];
-        while (this.peek().value === '[') {
-            this.consume('PUNCT', '['); sizeExprs.push(this.parseExpression()); this.consume('PUNCT', ']');
+    /**
+     * Declaration of one or more objects sharing the specifiers: int a, b = 2, *p, v[10];
+     * @param {{type: CType, isStatic: boolean}} [specifiers] - Already parsed specifiers
+     * @param {Object} [first] - Already parsed first declarator (see parseDeclarator)
+     */
+    parseDeclaration(specifiers = this.parseSpecifiers(), first = this.parseDeclarator(specifiers.type)) {
+        const declarations = [this.parseInitDeclarator(first, specifiers)];
+        while (this.peek().value === ',') {
+            this.consume('PUNCT', ',');
+            declarations.push(this.parseInitDeclarator(this.parseDeclarator(specifiers.type), specifiers));
         }
         this.consume('PUNCT', ';');
-        return new ArrayDeclarationNode(typeStr, nameToken.value, sizeExprs, nameToken.line);
+        return declarations.length === 1 ? declarations[0] : new DeclarationListNode(declarations, declarations[0].line);
+    }
+
+    // Declarador já lido + inicializador opcional -> nó de variável, array ou protótipo
+    parseInitDeclarator(declarator, specifiers) {
+        const { name, line } = declarator, type = this.expandArrayTypedef(declarator.type);
+        if (type.kind === 'function') return new FunctionPrototypeNode(type.target, name, declarator.params, line, type.isVariadic);
+        this.declareName(name);
+        let initializer = null; if (this.peek().value === '=') { this.consume('OPERATOR', '='); initializer = this.parseInitializer(); }
+        let node;
+        if (type.kind === 'array') {
+            const { elementType, sizeExpressions } = this.splitArrayLayers(declarator);
+            // Só a primeira dimensão pode ser omitida (o tamanho vem do inicializador)
+            if (sizeExpressions.slice(1).includes(null)) throw new Error(`[Linha ${line}] Só a primeira dimensão do array '${name}' pode ser omitida.`);
+            if (sizeExpressions[0] === null && !initializer) {
+                throw new Error(`[Linha ${line}] O array '${name}[]' precisa de um tamanho ou de um inicializador.`);
+            }
+            node = new ArrayDeclarationNode(elementType, name, sizeExpressions, initializer, line);
+        } else {
+            node = new VariableDeclarationNode(type, name, initializer, line);
+        }
+        // 'static' é classe de armazenamento, não parte do tipo: fica marcado no próprio declarador
+        if (specifiers.isStatic) node.isStatic = true;
+        return node;
+    }
+
+    // Inicializador: expressão ou lista entre chaves, com designadores C99 ([3] = 7, .x = 1)
+    parseInitializer() {
+        if (this.peek().value !== '{') return this.parseAssignment();
+        const openToken = this.consume('PUNCT', '{'); const elements = [];
+        while (this.peek().value !== '}' && this.peek().type !== 'EOF') {
+            const designators = [];
+            while (this.peek().value === '[' || this.peek().value === '.') {
+                if (this.consume('PUNCT').value === '[') {
+                    designators.push({ kind: 'index', index: this.parseConditional() }); this.consume('PUNCT', ']');
+                } else {
+                    designators.push({ kind: 'field', name: this.consume('IDENTIFIER').value });
+                }
+            }
+            if (designators.length > 0) this.consume('OPERATOR', '=');
+            elements.push({ designators, value: this.parseInitializer() });
+            if (this.peek().value !== ',') break;
+            this.consume('PUNCT', ','); // Vírgula final é permitida
+        }
+        this.consume('PUNCT', '}');
+        return new InitializerListNode(elements, openToken.line);
     }
 
     parseIfStatement() {
@@ -152,32 +542,102 @@ class IFSCeeParser {
         return new DoWhileStatementNode(body, cond, doToken.line);
     }
 
+    parseSwitchStatement() {
+        const switchToken = this.consume('KEYWORD', 'switch');
+        this.consume('PUNCT', '('); const discriminant = this.parseExpression(); this.consume('PUNCT', ')');
+        this.consume('PUNCT', '{');
+        const cases = []; let hasDefault = false;
+
+        while (this.peek().value !== '}' && this.peek().type !== 'EOF') {
+            const labelToken = this.peek();
+            let test = null;
+            if (labelToken.type === 'KEYWORD' && labelToken.value === 'case') {
+                this.consume('KEYWORD', 'case'); test = this.parseConditional();
+            } else if (labelToken.type === 'KEYWORD' && labelToken.value === 'default') {
+                if (hasDefault) throw new Error(`[Linha ${labelToken.line}] Mais de um 'default' no mesmo switch.`);
+                this.consume('KEYWORD', 'default'); hasDefault = true;
+            } else {
+                throw new Error(`[Linha ${labelToken.line}] Esperado 'case' ou 'default' dentro do switch, encontrado '${labelToken.value}'.`);
+            }
+            this.consume('OPERATOR', ':');
+
+            // Os comandos de um case vão até o próximo rótulo (ou o fim do switch)
+            const consequent = [];
+            while (!this.isSwitchLabelOrEnd()) consequent.push(this.parseStatement());
+            cases.push(new SwitchCaseNode(test, consequent, labelToken.line));
+        }
+        this.consume('PUNCT', '}');
+        return new SwitchStatementNode(discriminant, cases, switchToken.line);
+    }
+
+    isSwitchLabelOrEnd() {
+        const t = this.peek();
+        return t.type === 'EOF' || (t.type === 'PUNCT' && t.value === '}') || (t.type === 'KEYWORD' && (t.value === 'case' || t.value === 'default'));
+    }
+
     parseForStatement() {
-        const forToken = this.consume('KEYWORD', 'for');
-        this.consume('PUNCT', '(');
-        let init = null; if (this.peek().value !== ';') init = this.parseStatement(); else this.consume('PUNCT', ';');
-        let cond = null; if (this.peek().value !== ';') cond = this.parseExpression(); this.consume('PUNCT', ';');
-        let inc = null; if (this.peek().value !== ')') inc = this.parseExpression(); this.consume('PUNCT', ')');
-        const body = this.peek().value === '{' ? this.parseBlockStatement() : [this.parseStatement()];
-        return new ForStatementNode(init, cond, inc, body, forToken.line);
+        // Uma variável declarada no init só existe dentro do for
+        return this.withScope(() => {
+            const forToken = this.consume('KEYWORD', 'for');
+            this.consume('PUNCT', '(');
+            let init = null; if (this.peek().value !== ';') init = this.parseStatement(); else this.consume('PUNCT', ';');
+            let cond = null; if (this.peek().value !== ';') cond = this.parseExpression(); this.consume('PUNCT', ';');
+            let inc = null; if (this.peek().value !== ')') inc = this.parseExpression(); this.consume('PUNCT', ')');
+            const body = this.peek().value === '{' ? this.parseBlockStatement() : [this.parseStatement()];
+            return new ForStatementNode(init, cond, inc, body, forToken.line);
+        });
     }
 
     parseReturnStatement() {
         const rToken = this.consume('KEYWORD', 'return');
-        const expr = this.parseExpression(); this.consume('PUNCT', ';');
+        const expr = this.peek().value === ';' ? null : this.parseExpression(); this.consume('PUNCT', ';'); // 'return;' em funções void
         return new ReturnStatementNode(expr, rToken.line);
     }
 
+    // Operador vírgula: avalia da esquerda para a direita e resulta no último valor
     parseExpression() {
-        let leftNode = this.parseLogicalOr();
-        const assignOps = ['=', '+=', '-=', '*=', '/=', '%='];
+        const first = this.parseAssignment();
+        if (!(this.peek().type === 'PUNCT' && this.peek().value === ',')) return first;
+        const expressions = [first];
+        while (this.peek().type === 'PUNCT' && this.peek().value === ',') { this.consume('PUNCT', ','); expressions.push(this.parseAssignment()); }
+        return new CommaExpressionNode(expressions, first.line);
+    }
+
+    // Argumentos de função e inicializadores usam este nível (a vírgula ali é separador)
+    parseAssignment() {
+        let leftNode = this.parseConditional();
+        const assignOps = ['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>='];
         if (this.peek().type === 'OPERATOR' && assignOps.includes(this.peek().value)) {
             const op = this.consume('OPERATOR');
-            return new AssignmentExpressionNode(leftNode, op.value, this.parseExpression(), leftNode.line);
+            this.requireLvalue(leftNode, op, `O lado esquerdo de '${op.value}'`);
+            return new AssignmentExpressionNode(leftNode, op.value, this.parseAssignment(), leftNode.line);
         }
         return leftNode;
     }
 
+    /**
+     * Reject, at parse time, operands that do not designate an object in memory (5 = x, &(a + b), f()++)
+     * @param {Object} node - The operand
+     * @param {Object} op - The operator token
+     * @param {string} role - Description of the operand for the message
+     */
+    requireLvalue(node, op, role) {
+        const isLvalue = ['Identifier', 'IndexExpression', 'MemberExpression'].includes(node.type) || (node.type === 'UnaryExpression' && node.operator === '*');
+        if (isLvalue) return;
+        throw new Error(`[Linha ${op.line}] ⚠️ L-VALUE INVÁLIDO: ${role} precisa ser um objeto na memória (x, v[i], *p ou s.campo), mas é uma expressão.\n` +
+            "💡 Dica: Constantes e resultados de contas (como 5 ou a + b) não têm endereço: não podem receber valores nem ser usados com &, ++ ou --.");
+    }
+
+    parseConditional() {
+        const test = this.parseLogicalOr();
+        if (!(this.peek().type === 'OPERATOR' && this.peek().value === '?')) return test;
+        const op = this.consume('OPERATOR', '?');
+        const consequent = this.parseExpression();
+        this.consume('OPERATOR', ':');
+        // Associatividade à direita: a ? b : c ? d : e == a ? b : (c ? d : e)
+        return new ConditionalExpressionNode(test, consequent, this.parseConditional(), op.line);
+    }
+
     parseLogicalOr() {
         let left = this.parseLogicalAnd();
         while (this.peek().value === '||') {
@@ -187,8 +647,33 @@ class IFSCeeParser {
     }
 
     parseLogicalAnd() {
-        let left = this.parseEquality();
+        let left = this.parseBitwiseOr();
         while (this.peek().value === '&&') {
+            const op = this.consume('OPERATOR'); left = new BinaryExpressionNode(left, op.value, this.parseBitwiseOr(), op.line);
+        }
+        return left;
+    }
+
+    // Precedência em C: & > ^ > | (todos abaixo de == e !=)
+    parseBitwiseOr() {
+        let left = this.parseBitwiseXor();
+        while (this.peek().type === 'OPERATOR' && this.peek().value === '|') {
+            const op = this.consume('OPERATOR'); left = new BinaryExpressionNode(left, op.value, this.parseBitwiseXor(), op.line);
+        }
+        return left;
+    }
+
+    parseBitwiseXor() {
+        let left = this.parseBitwiseAnd();
+        while (this.peek().type === 'OPERATOR' && this.peek().value === '^') {
+            const op = this.consume('OPERATOR'); left = new BinaryExpressionNode(left, op.value, this.parseBitwiseAnd(), op.line);
+        }
+        return left;
+    }
+
+    parseBitwiseAnd() {
+        let left = this.parseEquality();
+        while (this.peek().type === 'OPERATOR' && this.peek().value === '&') {
             const op = this.consume('OPERATOR'); left = new BinaryExpressionNode(left, op.value, this.parseEquality(), op.line);
         }
         return left;
@@ -203,8 +688,16 @@ class IFSCeeParser {
     }
 
     parseRelational() {
-        let left = this.parseAdditive();
+        let left = this.parseShift();
         while (['<', '>', '<=', '>='].includes(this.peek().value)) {
+            const op = this.consume('OPERATOR'); left = new BinaryExpressionNode(left, op.value, this.parseShift(), op.line);
+        }
+        return left;
+    }
+
+    parseShift() {
+        let left = this.parseAdditive();
+        while (['<<', '>>'].includes(this.peek().value)) {
             const op = this.consume('OPERATOR'); left = new BinaryExpressionNode(left, op.value, this.parseAdditive(), op.line);
         }
         return left;
@@ -235,7 +728,7 @@ class IFSCeeParser {
 
             if (this.peek().value === '(') {
                 this.consume('PUNCT', '(');
-                let arg = this.isTypeKeyword(this.peek()) ? new TypeNameNode(this.parseTypeStr()) : this.parseExpression();
+                let arg = this.isTypeKeyword(this.peek()) ? new TypeNameNode(this.parseTypeName()) : this.parseExpression();
                 this.consume('PUNCT', ')');
                 return new UnaryExpressionNode(op.value, arg, op.line);
             } else {
@@ -244,9 +737,18 @@ class IFSCeeParser {
             }
         }
 
-        if (token.type === 'OPERATOR' && ['&', '*', '!', '++', '--'].includes(token.value)) {
-            const op = this.consume('OPERATOR');
-            return new UnaryExpressionNode(op.value, this.parseUnary(), op.line);
+        // Cast (ex: (int *) malloc(...)): o tipo fica no nó para o interpretador converter o valor
+        if (token.value === '(' && this.isTypeKeyword(this.tokens[this.position + 1])) {
+            this.consume('PUNCT', '(');
+            const targetType = this.parseTypeName();
+            this.consume('PUNCT', ')');
+            return new CastExpressionNode(targetType, this.parseUnary(), token.line);
+        }
+
+        if (token.type === 'OPERATOR' && ['&', '*', '-', '+', '!', '~', '++', '--'].includes(token.value)) {
+            const op = this.consume('OPERATOR'); const argument = this.parseUnary();
+            if (['&', '++', '--'].includes(op.value)) this.requireLvalue(argument, op, `O operando de '${op.value}'`);
+            return new UnaryExpressionNode(op.value, argument, op.line);
         }
 
         return this.parsePostfix();
@@ -264,11 +766,20 @@ class IFSCeeParser {
             } else if (this.peek().value === '(') {
                 this.consume('PUNCT', '('); const args = [];
                 while (this.peek().value !== ')' && this.peek().type !== 'EOF') {
-                    args.push(this.parseExpression()); if (this.peek().value === ',') this.consume('PUNCT', ',');
+                    // Um nome de tipo como argumento só é aceito por va_arg(ap, int); nas demais chamadas é uma expressão
+                    const isTypeArgument = left.type === 'Identifier' && left.name === 'va_arg' && args.length === 1;
+                    args.push(isTypeArgument ? new TypeNameNode(this.parseTypeName()) : this.parseAssignment());
+                    if (this.peek().value === ',') this.consume('PUNCT', ',');
                 }
                 this.consume('PUNCT', ')'); left = new CallExpressionNode(left, args, left.line);
             } else if (this.peek().type === 'OPERATOR' && ['++', '--'].includes(this.peek().value)) {
-                const op = this.consume('OPERATOR'); left = new UnaryExpressionNode(op.value, left, op.line);
+                const op = this.consume('OPERATOR'); this.requireLvalue(left, op, `O operando de '${op.value}'`);
+                left = new UnaryExpressionNode(op.value, left, op.line, true); // x++ / x--
+            } else if (this.peek().value === '.' || this.peek().value === '->') {
+                // Acesso a membro: p.x (PUNCT) ou ptr->x (OPERATOR)
+                const op = this.consume(this.peek().type);
+                const property = this.consume('IDENTIFIER');
+                left = new MemberExpressionNode(left, property.value, op.value, op.line);
             } else { break; }
         }
         return left;
@@ -277,18 +788,10 @@ class IFSCeeParser {
     parsePrimary() {
         const token = this.peek();
 
-        // Permite agrupamentos matemáticos e TYPE CASTING!
+        // Permite agrupamentos matemáticos: (a + b)
         if (token.value === '(') {
             this.consume('PUNCT', '(');
 
-            // Se for um Cast (ex: (int *) malloc)
-            if (this.isTypeKeyword(this.peek())) {
-                const typeStr = this.parseTypeStr();
-                this.consume('PUNCT', ')');
-                // Na nossa POC, o cast visual é ignorado e avaliamos apenas a expressão
-                return this.parseUnary();
-            }
-
             // Expressão matemática normal (a + b)
             const expr = this.parseExpression();
             this.consume('PUNCT', ')');
@@ -296,7 +799,7 @@ class IFSCeeParser {
         }
 
         const consumedToken = this.consume(token.type);
-        if (consumedToken.type === 'NUMBER') return new LiteralNode(consumedToken.value, 'NUMBER', consumedToken.line);
+        if (consumedToken.type === 'NUMBER') return new LiteralNode(consumedToken.value, 'NUMBER', consumedToken.line, consumedToken.literal); // literal: grafia com sufixo (10u, 2.5f)
         if (consumedToken.type === 'STRING') return new LiteralNode(consumedToken.value, 'STRING', consumedToken.line);
         if (consumedToken.type === 'IDENTIFIER') return new IdentifierNode(consumedToken.value, consumedToken.line);
 
@@ -17,7 +17,8 @@ eval(interpreterCode);
 let passedTests = 0;
 let failedTests = 0;
 
-function test(name, code, expectedOutput) {
+// eventType: 'TERMINAL_PRINT' compara a saída do programa; 'EXPLAIN', 'WARNING' ou 'ERROR' compara as mensagens desses eventos (uma por linha)
+function test(name, code, expectedOutput, eventType = 'TERMINAL_PRINT') {
     try {
         // Preprocess
         const preprocessor = new IFSCeePreprocessor(code);
@@ -38,8 +39,8 @@ function test(name, code, expectedOutput) {
         let output = [];
         let result = engine.next();
         while (!result.done) {
-            if (result.value && result.value.type === 'TERMINAL_PRINT') {
-                output.push(result.value.output);
+            if (result.value && result.value.type === eventType) {
+                output.push(eventType === 'TERMINAL_PRINT' ? result.value.output : `${result.value.message}\n`);
             }
             result = engine.next();
         }
@@ -231,6 +232,725 @@ int main() {
 }
 `, 'H');
 
+// Test 16: Structs, member access and layout with padding
+test('Structs (. / -> / sizeof)', `
+#include <stdio.h>
+struct Ponto { char tag; int x; int y; };
+int main() {
+    struct Ponto p;
+    struct Ponto *ptr = &p;
+    p.x = 10;
+    ptr->y = 20;
+    ptr->x += 5;
+    printf("%d %d %d", p.x, p.y, sizeof(struct Ponto));
+    return 0;
+}
+`, '15 20 12');
+
+// Test 17: Unions share storage between members
+test('Union Shared Storage', `
+#include <stdio.h>
+union Dado { int i; float f; unsigned char bytes[4]; };
+int main() {
+    union Dado u;
+    u.i = 258;
+    printf("%d %d ", u.bytes[0], u.bytes[1]);
+    u.f = 1.0;
+    printf("%d %d", u.i, sizeof(union Dado));
+    return 0;
+}
+`, '2 1 1065353216 4');
+
+// Test 18: Enums with implicit and explicit values
+test('Enum Constants', `
+#include <stdio.h>
+enum Cor { RED, GREEN, BLUE };
+enum Status { OK = 200, NOT_FOUND = 404, NEXT };
+int main() {
+    enum Cor c = BLUE;
+    enum Status s = NEXT;
+    printf("%d %d %d", c, s, GREEN + 10);
+    return 0;
+}
+`, '2 405 11');
+
+// Test 19: typedef aliases for built-in types and structs
+test('Typedef', `
+#include <stdio.h>
+typedef int Idade;
+typedef struct Node Node;
+struct Node { int valor; Node *prox; };
+typedef struct { int x, y; } Coord;
+int main() {
+    Idade i = 20;
+    Node n;
+    Node *p = &n;
+    Coord c;
+    p->valor = 7;
+    c.y = 3;
+    printf("%d %d %d %d", i, n.valor + c.y, sizeof(Node), sizeof(Idade));
+    return 0;
+}
+`, '20 10 16 4');
+
+// Test 20: switch with fall-through, default and enum labels
+test('Switch Case', `
+#include <stdio.h>
+enum Cor { RED, GREEN, BLUE };
+int main() {
+    int i;
+    int total = 0;
+    enum Cor c = BLUE;
+    for (i = 0; i < 4; i++) {
+        switch (i) {
+            default: total = total + 100; break;
+            case 0: total = total + 1;
+            case 1: total = total + 10; break;
+        }
+    }
+    switch (c) { case RED: printf("r"); break; case BLUE: printf("b"); break; }
+    printf(" %d", total);
+    return 0;
+}
+`, 'b 221');
+
+// Test 21: goto forward out of nested loops and backward to a label
+test('Goto and Labels', `
+#include <stdio.h>
+int main() {
+    int i;
+    int k = 0;
+    int soma = 0;
+repete:
+    k++;
+    if (k < 3) goto repete;
+    for (i = 0; i < 10; i++) {
+        while (1) {
+            if (i == 4) goto fim;
+            break;
+        }
+        soma = soma + i;
+    }
+fim:
+    printf("%d %d", k, soma);
+    return 0;
+}
+`, '3 6');
+
+// Test 22: bitwise and shift operators with C precedence
+test('Bitwise Operators', `
+#include <stdio.h>
+int main() {
+    int flags = 0x0F;
+    unsigned int u = 0xF0000000;
+    flags = flags | 0x10;
+    flags &= ~0x01;
+    flags ^= 0x100;
+    u >>= 28;
+    printf("%d %d %d %u %x", flags, 1 << 4 + 1, 6 & 3 == 3, u, 0xAB << 4);
+    return 0;
+}
+`, '286 32 0 15 ab0');
+
+// Test 23: ternary (only one branch evaluated) and comma operator in for clauses
+test('Ternary and Comma', `
+#include <stdio.h>
+int main() {
+    int i;
+    int j;
+    int c = 0;
+    int a = 3;
+    int s = a == 1 ? 100 : a == 3 ? 300 : 400;
+    int z = a ? (c = c + 1) : (c = c + 10);
+    for (i = 0, j = 9; i < j; i++, j--) { }
+    printf("%d %d %d %d %d", s, z, c, i, j);
+    return 0;
+}
+`, '300 1 1 5 4');
+
+// Test 24: global variables (zeroed .bss and initialized .data) shared by all functions
+test('Global Variables', `
+#include <stdio.h>
+int contador;
+int limite = 3 * 2;
+int tabela[4];
+void incrementa() { contador = contador + 1; tabela[contador] = contador * 10; }
+int main() {
+    int i;
+    for (i = 0; i < 3; i++) incrementa();
+    printf("%d %d %d %d", contador, limite, tabela[3], tabela[0]);
+    return 0;
+}
+`, '3 6 30 0');
+
+// Test 25: prototypes (with unnamed parameters) and definitions after main
+test('Function Prototypes', `
+#include <stdio.h>
+int soma(int, int);
+int dobro(int x);
+int main(void) {
+    printf("%d %d", soma(2, 3), dobro(soma(1, 1)));
+    return 0;
+}
+int soma(int a, int b) { return a + b; }
+int dobro(int x) { return 2 * x; }
+`, '5 4');
+
+// Test 26: function pointers, callbacks and qsort calling back into user code
+test('Function Pointers and qsort', `
+#include <stdio.h>
+#include <stdlib.h>
+struct Aluno { int id; int nota; };
+int soma(int a, int b) { return a + b; }
+int mult(int a, int b) { return a * b; }
+int compara(const void *a, const void *b) { return *(const int*)a - *(const int*)b; }
+int comparaDouble(const void *a, const void *b) {
+    double x = *(const double*)a, y = *(const double*)b;
+    return (x > y) - (x < y);
+}
+int comparaNota(const void *a, const void *b) { return ((const struct Aluno*)a)->nota - ((const struct Aluno*)b)->nota; }
+int aplica(int (*f)(int, int), int x, int y) { return f(x, y); }
+int main() {
+    int (*op)(int, int) = soma;
+    int v[6];
+    v[0] = 9; v[1] = 513; v[2] = -5; v[3] = 300; v[4] = 2; v[5] = -1;
+    double d[3] = {2.5, -1.25, 0.5};
+    struct Aluno turma[3] = {{1, 70}, {2, 95}, {3, 40}};
+    qsort(v, 6, sizeof(int), compara);
+    qsort(d, 3, sizeof(double), comparaDouble);
+    qsort(turma, 3, sizeof(struct Aluno), comparaNota);
+    printf("%d %d %d ", op(2, 3), (*op)(1, 1), aplica(mult, 4, 5));
+    for (int i = 0; i < 6; i++) printf("%d ", v[i]);
+    printf("%f %f %f %d %d %d", d[0], d[1], d[2], turma[0].id, turma[1].id, turma[2].id);
+    return 0;
+}
+`, '5 2 20 -5 -1 2 9 300 513 -1.25 0.50 2.50 3 1 2');
+
+// Test 27: initializer lists with size inference, zero-fill and designators
+test('Initializer Lists', `
+#include <stdio.h>
+struct Ponto { int x; int y; };
+int main() {
+    int v[] = {1, 2, 3};
+    int m[2][2] = {{1, 2}, {3, 4}};
+    char s[] = "abc";
+    int z[5] = {[3] = 7, 9};
+    struct Ponto p = {.y = 2, .x = 1};
+    printf("%d %d %d %s %d %d %d %d %d", sizeof(v), v[2], m[1][0], s, sizeof(s), z[0], z[4], p.x, p.y);
+    return 0;
+}
+`, '12 3 3 abc 4 0 9 1 2');
+
+// Test 28: declarator lists, each declarator with its own '*' and '[]'
+test('Multiple Declarators', `
+#include <stdio.h>
+int ga, gb = 4;
+int main() {
+    int a, b = 2, *p, v[3] = {7, 8, 9};
+    int *q, r;
+    p = &b; q = &a; a = 1; r = 5;
+    printf("%d %d %d %d %d %d %d %d", a, *p, v[2], *q, r, sizeof(q), sizeof(r), ga + gb);
+    return 0;
+}
+`, '1 2 9 1 5 8 4 4');
+
+// Test 29: pointer arithmetic scaled by the pointee size
+test('Pointer Arithmetic', `
+#include <stdio.h>
+int main() {
+    int v[5] = {10, 20, 30, 40, 50};
+    int *p = v;
+    int *q = v + 4;
+    char *s = "hello";
+    p = p + 1;
+    *(p + 2) = 99;
+    p += 2;
+    printf("%d %d %d %d %c %d", *p, v[3], q - p, p < q, *(s + 1), q - v);
+    return 0;
+}
+`, '99 99 1 1 e 4');
+
+// Test 30: RAM is a little-endian byte store shared by every view of an object
+test('Byte-Level Memory', `
+#include <stdio.h>
+#include <string.h>
+int main() {
+    int x = 258;
+    char *c = (char *)&x;
+    float f = 2.5;
+    int bits;
+    int *h = malloc(8);
+    char *hb = (char *)h;
+    h[0] = 0x01020304;
+    memcpy(&bits, &f, sizeof(f));
+    c[0] = 5;
+    printf("%d %d %d %x %d %d", c[0], c[1], x, bits, hb[0], hb[3]);
+    free(h);
+    return 0;
+}
+`, '5 1 261 40200000 4 1');
+
+// Test 31: fixed-width integers, usual arithmetic conversions and truncating division
+test('Integer Conversions', `
+#include <stdio.h>
+int main() {
+    char c = 200;
+    unsigned u = 0 - 1;
+    int big = 2147483647;
+    short s = 40000;
+    unsigned int one = 1;
+    int neg = 0 - 1;
+    float f = 0.1;
+    printf("%d %u %d %d %d %d %d %d %d", c, u, big + 1, s, (0 - 7) / 2, (0 - 7) % 2, neg < one, f == 0.1, sizeof(s));
+    return 0;
+}
+`, '-56 4294967295 -2147483648 -25536 -3 -1 0 0 2');
+
+// Test 32: 64-bit integers stay exact (BigInt) and wrap around like C
+test('Long Long Integers', `
+#include <stdio.h>
+long long fatorial(int n) {
+    long long r = 1;
+    int i;
+    for (i = 2; i <= n; i++) r = r * i;
+    return r;
+}
+int main() {
+    long long big = 9007199254740993LL;
+    unsigned long long u = 18446744073709551615ULL;
+    big++;
+    printf("%lld %llu %lld %lld %llx %d", big, u, fatorial(20), fatorial(21), u >> 4, sizeof(big));
+    return 0;
+}
+`, '9007199254740994 18446744073709551615 2432902008176640000 -4249290049419214848 fffffffffffffff 8');
+
+// Test 33: chars are numeric codes in variables, arrays and string literals
+test('Character Codes', `
+#include <stdio.h>
+int main() {
+    char c = 'a';
+    char d = c + 1;
+    char s[] = "Olá";
+    char *t = "xyz";
+    int digito = '7' - '0';
+    int letras = 0;
+    int i;
+    for (i = 0; t[i] != '\\0'; i++) if (t[i] >= 'x' && t[i] <= 'z') letras++;
+    printf("%c %d %s %d %d %d %c", d, digito, s, sizeof(s), letras, c, t[2] - 1);
+    return 0;
+}
+`, 'b 7 Olá 5 3 97 y');
+
+// Test 34: static locals are initialized once and keep their value across calls
+test('Static Local Variables', `
+#include <stdio.h>
+int proximo() {
+    static int contador = 0;
+    contador++;
+    return contador;
+}
+int acumula(int x) {
+    static int total;
+    static int ultimos[2] = {0};
+    ultimos[total % 2] = x;
+    total += x;
+    return total + ultimos[0];
+}
+int main() {
+    proximo(); proximo();
+    printf("%d ", proximo());
+    acumula(1);
+    printf("%d ", acumula(2));
+    int i;
+    for (i = 0; i < 3; i++) { static int k = 10; k++; printf("%d ", k); }
+    return 0;
+}
+`, '3 4 11 12 13 ');
+
+// Test 35: user-defined variadic functions read their extra arguments with stdarg.h
+test('Variadic Functions', `
+#include <stdio.h>
+#include <stdarg.h>
+int soma(int n, ...) {
+    va_list args;
+    va_start(args, n);
+    int total = 0;
+    int i;
+    for (i = 0; i < n; i++) total += va_arg(args, int);
+    va_end(args);
+    return total;
+}
+void mostra(const char *fmt, ...) {
+    va_list ap, copia;
+    va_start(ap, fmt);
+    va_copy(copia, ap);
+    for (const char *p = fmt; *p != '\\0'; p++) {
+        if (*p == 'd') printf("%d ", va_arg(ap, int));
+        else if (*p == 'c') printf("%c ", va_arg(ap, int));
+        else if (*p == 's') printf("%s ", va_arg(ap, char *));
+    }
+    printf("%d", va_arg(copia, int));
+    va_end(copia);
+    va_end(ap);
+}
+int main() {
+    char letra = 'k';
+    printf("%d %d ", soma(3, 10, 20, 30), soma(0));
+    mostra("dcs", 7, letra, "fim");
+    return 0;
+}
+`, '60 0 7 k fim 7');
+
+// Test 36: declarators build nested types (pointer to array, array of pointers, function returning pointer)
+test('Declarators', `
+#include <stdio.h>
+int soma(int a, int b) { return a + b; }
+int *maior(int *a, int *b) { return *a > *b ? a : b; }
+int (*escolhe(void))(int, int) { return soma; }
+int total(int m[][3], int n) {
+    int t = 0;
+    for (int i = 0; i < n; i++)
+        for (int j = 0; j < 3; j++) t += m[i][j];
+    return t;
+}
+int main() {
+    int m[2][3] = {{1, 2, 3}, {4, 5, 6}};
+    int (*p)[3] = m;
+    int x = 7, y = 9;
+    int *v[2] = {&x, &y};
+    char *nomes[2] = {"ana", "bia"};
+    char **q = nomes;
+    const char *s = "abc";
+    char * const t = "xyz";
+    s = t;
+    p++;
+    printf("%d %d %d ", (*p)[1], p[0][2], *maior(v[0], v[1]));
+    printf("%d %d %c %s ", escolhe()(2, 3), total(m, 2), q[1][0], s);
+    printf("%d %d %d %d", (int) sizeof(p), (int) sizeof(*p), (int) sizeof(v), (int) sizeof(m[1]));
+    return 0;
+}
+`, '5 6 9 5 21 b xyz 8 12 16 12');
+
+// Test 37: unary minus/plus and increments on any lvalue, with pre/post values
+test('Unary and Increment Operators', `
+#include <stdio.h>
+struct P { int x; long long g; };
+int main() {
+    int x = 3; int a = x++; int b = ++x;
+    printf("%d %d %d %d %d %u ", a, b, -x, - -x, +x, -1u);
+    int v[3] = {1, 2, 3}; int m[2][2] = {{1, 2}, {3, 4}};
+    int *p = v;
+    int r1 = v[1]++; int r2 = --m[1][0]; (*p)--; int r3 = (*p)++;
+    printf("%d %d %d %d %d %d ", r1, v[1], r2, m[1][0], r3, v[0]);
+    struct P s = {1, 9223372036854775807LL}; struct P *q = &s;
+    long long g = q->g++;
+    s.x += 5; s.x <<= 2; s.x |= 1; s.x ^= 3; s.x >>= 1; s.x &= 7;
+    printf("%lld %lld %d ", g, s.g, s.x);
+    int *old = p++;
+    char c = 'a'; c++;
+    printf("%d %d %c %d", *old, *p, c, -c);
+    return 0;
+}
+`, '3 5 -5 5 5 4294967295 2 3 2 2 0 1 9223372036854775807 -9223372036854775808 5 1 3 b -98');
+
+// Test 38: address-of and assignment work on every kind of lvalue
+test('Lvalues and Address-of', `
+#include <stdio.h>
+struct P { int x; int y; };
+int g[4] = {1, 2, 3, 4};
+int *pg = &g[2];
+int main() {
+    int v[3] = {1, 2, 3}; int m[2][3] = {{1, 2, 3}, {4, 5, 6}};
+    int x = 10; int *p = &x;
+    struct P s = {1, 2}; struct P *ps = &s;
+    int *a = &v[1], *b = &m[1][2], *c = &*p, *d = &s.y, *e = &ps->x;
+    *a = 20; *b += 40; *c *= 2; (*d)++; ++*e;
+    int (*row)[3] = &m[0];
+    (*row)[0] = 7;
+    printf("%d %d %d %d %d %d %d ", v[1], m[1][2], x, s.y, s.x, m[0][0], *pg);
+    printf("%d %d", (int) (&v[2] - &v[0]), &m[1][0] == m[1]);
+    return 0;
+}
+`, '20 46 20 3 2 7 3 2 1');
+
+// Test 39: nested blocks have their own scope; empty statements are accepted
+test('Blocks and Empty Statements', `
+#include <stdio.h>
+int main() {
+    int x = 1;
+    char s[] = "hello";
+    int i;
+    for (i = 0; s[i]; i++);
+    ;
+    {
+        int x = 2;
+        {
+            int x = 3;
+            printf("%d ", x);
+        }
+        printf("%d ", x);
+    }
+    switch (i) {
+        case 5: { int y = i * 2; printf("%d ", y); break; }
+    }
+    printf("%d %d", x, i);
+    return 0;
+}
+`, '3 2 10 1 5');
+
+// Test 40: arguments and return values are converted to the declared types; void functions may use bare return
+test('Call Semantics', `
+#include <stdio.h>
+void mostra(int n) {
+    if (n == 0) return;
+    printf("%d ", n);
+}
+int metade(int x) { return x / 2; }
+char letra(int c) { return c; }
+int trunca(double d) { return d; }
+long long identidade(long long v) { return v; }
+int main() {
+    mostra(0); mostra(5);
+    printf("%d %c %d %lld", metade(7.9), letra(321), trunca(-2.5), identidade(0));
+    return 0;
+}
+`, '5 3 A -2 0');
+
+// Test 41: casts convert the value to the named type
+test('Casts', `
+#include <stdio.h>
+int main() {
+    int a = 7, b = 2, c = 2, n = -1;
+    char ch = (char)300;
+    printf("%f %f %d %d ", (double)a / c, (float)a / b, ch, (char)300);
+    printf("%d %u %d", (unsigned char)-16, (unsigned)n >> 28, (int)-2.9);
+    (void)b;
+    return 0;
+}
+`, '3.50 3.50 44 44 240 15 -2');
+
+// Test 42: a void * is read through a cast to the real type of the data
+test('Reading Through void *', `
+#include <stdio.h>
+struct Item { int id; double peso; };
+void mostra(const void *p, int tipo) {
+    if (tipo == 0) printf("%d ", *(const int *)p);
+    else if (tipo == 1) printf("%f ", *(const double *)p);
+    else printf("%d %f", ((const struct Item *)p)->id, ((const struct Item *)p)->peso);
+}
+int main() {
+    int n = 70000;
+    double d = -2.5;
+    struct Item it = {7, 1.25};
+    mostra(&n, 0); mostra(&d, 1); mostra(&it, 2);
+    return 0;
+}
+`, '70000 -2.50 7 1.25');
+
+// Test 43: a struct returned by value is copied out before the callee's frame is freed
+test('Returning Structs', `
+#include <stdio.h>
+struct Ponto { int x; int y; };
+struct Ponto cria(int x, int y) { struct Ponto p; p.x = x; p.y = y; return p; }
+struct Ponto soma(struct Ponto a, struct Ponto b) { return cria(a.x + b.x, a.y + b.y); }
+int main() {
+    struct Ponto a = cria(1, 2);
+    struct Ponto b;
+    b = cria(5, 6);
+    struct Ponto c = soma(a, b);
+    printf("%d %d %d %d %d %d %d", a.x, a.y, b.x, b.y, c.x, c.y, cria(8, 9).y);
+    return 0;
+}
+`, '1 2 5 6 6 8 9');
+
+// Test 44: sizes computed in long long are accepted by the library functions
+test('64-bit Sizes', `
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+int main() {
+    long long n = 3;
+    int *v = malloc(n * sizeof(int));
+    int w[3];
+    for (int i = 0; i < 3; i++) v[i] = (i + 1) * 100;
+    memcpy(w, v, n * sizeof(int));
+    printf("%d %d %d", w[0], w[1], w[2]);
+    free(v);
+    return 0;
+}
+`, '100 200 300');
+
+// Test 45: shifts and bitwise operators mixing 32- and 64-bit operands
+test('Mixed-Width Shifts', `
+#include <stdio.h>
+int main() {
+    long long n = 4;
+    int k = 40, a = 100000, b = 100000;
+    int x = 1 << n;
+    long long big = 1LL << k;
+    unsigned u = 0x80000000u >> n;
+    long long m = big | x;
+    x <<= n;
+    printf("%d %lld %u %lld %d %lld", 1 << n, big, u, m, x, (long long)a * b);
+    return 0;
+}
+`, '16 1099511627776 134217728 1099511627792 256 10000000000');
+
+// Test 46: a cast pointer reads and writes only the bytes of its own type
+test('Byte Reinterpretation Through Casts', `
+#include <stdio.h>
+int main() {
+    int x = 0x11223344;
+    int neg = -2;
+    printf("%x %x ", *(char *)&x, ((unsigned char *)&x)[3]);
+    printf("%d %d ", *(unsigned char *)&neg, *(short *)&neg);
+    *(char *)&x = 0;
+    printf("%x", x);
+    return 0;
+}
+`, '44 11 254 -2 11223300');
+
+// Test 47: a string literal is stored once, however many times it is evaluated
+test('String Literals Stored Once', `
+#include <stdio.h>
+int g = 5;
+int main() {
+    char *primeiro = "abcdef", *ultimo;
+    for (int i = 0; i < 3000; i++) ultimo = "abcdef";
+    printf("%d %d %s", g, primeiro == ultimo, ultimo);
+    return 0;
+}
+`, '5 1 abcdef');
+
+// Test 48: 2-D arrays of structs are laid out row by row
+test('2-D Arrays of Structs', `
+#include <stdio.h>
+struct Cor { int r; int g; int b; };
+int main() {
+    struct Cor tela[2][2] = {{{1, 2, 3}, {4, 5, 6}}, {{7, 8, 9}, {10, 11, 12}}};
+    tela[1][0].g = 80;
+    struct Cor *p = &tela[0][0];
+    printf("%d %d %d %d", tela[0][1].b, tela[1][0].g, p[3].r, (int)sizeof(tela));
+    return 0;
+}
+`, '6 80 10 48');
+
+// Test 49: a typedef of an array declares arrays of that shape
+test('Array Typedefs', `
+#include <stdio.h>
+typedef int Vetor[3];
+typedef Vetor Matriz[2];
+int soma(Vetor v) { return v[0] + v[1] + v[2]; }
+int main() {
+    Vetor a = {1, 2, 3};
+    Vetor b;
+    Matriz m = {{1, 2, 3}, {4, 5, 6}};
+    b[2] = 40;
+    printf("%d %d %d %d %d %d", a[1], b[2], m[1][2], soma(a), (int)sizeof(Vetor), (int)sizeof(m));
+    return 0;
+}
+`, '2 40 6 6 12 24');
+
+// Test 50: typedef names follow block scope and can be hidden by variables
+test('Typedef Scope', `
+#include <stdio.h>
+typedef int Numero;
+int main() {
+    {
+        typedef double Numero;
+        typedef char Letra;
+        Numero x = 2.5;
+        Letra c = 'A';
+        printf("%f %c ", x, c);
+    }
+    Numero y = 7.9;
+    int Letra = 4;
+    {
+        int Numero = 10;
+        printf("%d ", Numero * 2);
+    }
+    printf("%d %d %d", y, Letra * 3, (int)sizeof(Numero));
+    return 0;
+}
+`, '2.50 A 20 7 12 4');
+
+// Test 51: call arguments are expressions; only va_arg takes a type name
+test('Type Names as Call Arguments', `
+#include <stdio.h>
+#include <stdarg.h>
+typedef double Real;
+Real primeiro(int n, ...) {
+    va_list ap;
+    va_start(ap, n);
+    Real r = va_arg(ap, Real);
+    va_end(ap);
+    return r;
+}
+int dobro(int x) { return x * 2; }
+int main() {
+    int Real = 21;
+    printf("%d %d", dobro(Real), (int)primeiro(1, 4.5) + dobro((int)sizeof(Real)));
+    return 0;
+}
+`, '42 12');
+
+// Test 52: step explanations keep the parentheses of nested pointer expressions
+test('Explanations of Nested Dereferences', `
+int main() {
+    int m[3][4];
+    int *p = &m[0][0];
+    m[1][2] = 7;
+    int x = *(*(m + 1) + 2);
+    int y = *(p + (1 + 2));
+    return x + y;
+}
+`, '*(m + 1) + 2 avança 8 bytes (2 × sizeof(int)): 1016 → 1024\np + (1 + 2) avança 12 bytes', 'EXPLAIN');
+
+// Test 53: returning a value from a void function is reported, like a missing return value
+test('Value Returned From a void Function', `
+#include <stdio.h>
+void mostra(int n) {
+    if (n > 0) return n;
+    printf("zero");
+}
+int main() {
+    mostra(3);
+    mostra(0);
+    return 0;
+}
+`, "AVISO: 'mostra' foi declarada 'void', mas devolveu um valor com 'return' (linha 4)", 'WARNING');
+
+// Test 54: bsearch finds elements with any integer comparator result, including long long
+test('bsearch With a long long Comparator', `
+#include <stdio.h>
+#include <stdlib.h>
+long long compara(const void *a, const void *b) { return (long long)*(const int *)a - *(const int *)b; }
+int main() {
+    int v[5] = {-300, 1, 5, 700, 90000};
+    int chave = 700, ausente = 2;
+    int *achou = bsearch(&chave, v, 5, sizeof(int), compara);
+    int *nada = bsearch(&ausente, v, 5, sizeof(int), compara);
+    printf("%d %d", *achou, nada == 0);
+    return 0;
+}
+`, '700 1');
+
+// Test 55: duplicate case labels are reported even in a switch that never runs
+test('Duplicate case in a Switch That Never Runs', `
+#include <stdio.h>
+enum Cor { VERMELHO, VERDE, AZUL };
+void nunca(int x) {
+    if (x > 100) {
+        switch (x) { case 1: break; case VERDE: break; }
+    }
+}
+int main() {
+    nunca(5);
+    printf("não deveria executar");
+    return 0;
+}
+`, "CASE DUPLICADO [Linha 6]: O valor 1 já foi usado no 'case' da linha 6", 'ERROR');
+
 console.log(`\n📊 Test Results:`);
 console.log(`   ✅ Passed: ${passedTests}`);
 console.log(`   ❌ Failed: ${failedTests}`);
@@ -29,8 +29,8 @@ let astVisible = false; // Track AST panel visibility
  * @returns {string} HTML with syntax highlighting
  */
 function highlightSyntax(code) {
-    const keywords = ['if', 'else', 'while', 'for', 'do', 'break', 'continue', 'return', 'sizeof', 'switch', 'case', 'default'];
-    const types = ['int', 'char', 'void', 'float', 'double', 'short', 'long', 'unsigned', 'signed', 'const', 'static', 'extern', 'volatile', '_Bool'];
+    const keywords = ['if', 'else', 'while', 'for', 'do', 'break', 'continue', 'return', 'sizeof', 'switch', 'case', 'default', 'goto'];
+    const types = ['int', 'char', 'void', 'float', 'double', 'short', 'long', 'unsigned', 'signed', 'const', 'static', 'extern', 'volatile', '_Bool', 'struct', 'union', 'enum', 'typedef'];
     const stdFunctions = ['printf', 'scanf', 'malloc', 'free', 'sizeof'];
 
     let result = code;
@@ -196,11 +196,18 @@ function applyState(state) {
         return;
     }
 
-    if (state.type === 'TERMINAL_PRINT') {
+    if (state.type === 'TERMINAL_PRINT' || state.type === 'WARNING') {
         // Don't add here, will be added by rebuildOutput
         return;
     }
 
+    if (state.type === 'EXPLAIN') {
+        // Explanation of the current step only (e.g. pointer arithmetic); not kept in the terminal history
+        outputPanel.innerHTML += `<div class="step-explanation">💡 ${state.message}</div>`;
+        outputPanel.scrollTop = outputPanel.scrollHeight;
+        return;
+    }
+
     // Restore memory snapshot if available
     if (state.memorySnapshot) {
         state.memory.restoreSnapshot(state.memorySnapshot);
@@ -231,6 +238,8 @@ function rebuildOutput() {
         const step = history[i];
         if (step.type === 'TERMINAL_PRINT') {
             outputPanel.innerHTML += `<div>> ${step.output}</div>`;
+        } else if (step.type === 'WARNING') {
+            outputPanel.innerHTML += `<div class="runtime-warning">${step.message}</div>`;
         } else if (step.type === 'ERROR') {
             outputPanel.innerHTML += `<br><span style="color: #ff5252;">${step.message}</span>`;
         } else if (step.type === 'PROGRAM_END') {
@@ -275,12 +284,180 @@ function highlightASTNode(line) {
     });
 }
 
+/**
+ * Whether values of a type are displayed as characters. The runtime keeps every char as its
+ * numeric code; plain and signed char are rendered as 'a', unsigned char stays a byte value
+ * @param {CType} type - Type of the value
+ * @returns {boolean}
+ */
+function isCharType(type) {
+    return ['char', 'signed char'].includes(TypeSystem.baseName(type));
+}
+
+/**
+ * Show a char value (stored as its code) as the character itself, e.g. 'a'; the terminator as \0
+ * @param {number} val - The character code
+ * @returns {string} Display HTML
+ */
+function formatCharValue(val) {
+    if (val === 0) return '<span class="null-terminator">\\0</span>';
+    const escapes = { 10: '\\n', 9: '\\t', 13: '\\r' };
+    if (escapes[val]) return `'${escapes[val]}'`;
+    if (val < 32 || val > 126) return String(val); // Sem representação visível (ou byte de um caractere UTF-8)
+    const html = { '<': '&lt;', '>': '&gt;', '&': '&amp;' };
+    const ch = String.fromCharCode(val);
+    return `'${html[ch] || ch}'`;
+}
+
+/**
+ * Display form of a scalar read from memory: chars as 'a', enums and function pointers annotated
+ * @param {MemoryManager} memoryManager - The memory holding the text segment
+ * @param {*} val - The stored value (not null)
+ * @param {CType} type - Type of the value
+ * @returns {*} The value to display
+ */
+function formatScalarValue(memoryManager, val, type) {
+    if (isCharType(type)) return formatCharValue(val);
+    return withFunctionName(memoryManager, withEnumeratorName(val, type), type);
+}
+
+/**
+ * Describe a type for the memory panel, showing the underlying type of typedef names
+ * @param {CType} type - The declared type (e.g., "Idade")
+ * @returns {string} e.g. "Idade (int)", or the type itself when it is not an alias
+ */
+function describeType(type) {
+    const resolved = String(TypeSystem.resolve(type));
+    return resolved !== String(type) ? `${type} (${resolved})` : String(type);
+}
+
+/**
+ * Append the enumerator name to an enum value, e.g. "2 (BLUE)"
+ * @param {*} val - The stored value
+ * @param {CType} type - Type of the value
+ * @returns {*} The value, annotated when it is a known enumerator
+ */
+function withEnumeratorName(val, type) {
+    if (val === null || !TypeSystem.isEnum(type)) return val;
+    const name = TypeSystem.getEnumeratorName(type, val);
+    return name ? `${val} (${name})` : val;
+}
+
+/**
+ * Append the target function to a function pointer value, e.g. "100 → compara()"
+ * @param {MemoryManager} memoryManager - The memory holding the text segment
+ * @param {*} val - The stored address
+ * @param {CType} type - Type of the value
+ * @returns {*} The value, annotated when it points to a function
+ */
+function withFunctionName(memoryManager, val, type) {
+    if (!val || !TypeSystem.isFunctionPointer(type)) return val;
+    const target = memoryManager.allocations.get(val);
+    return target && target.isFunction ? `${val} → ${target.name}()` : val;
+}
+
+/**
+ * Format a struct (or union) stored in memory as "{x: 1, y: 2}"
+ * @param {MemoryManager} memoryManager - The memory to read from
+ * @param {number} address - Start address of the struct
+ * @param {CType} type - The struct type (e.g., "struct Ponto")
+ * @returns {string} Compact textual representation
+ */
+function formatStructValue(memoryManager, address, type) {
+    const layout = TypeSystem.getStructLayout(type);
+    const formatElement = (addr, type) => {
+        if (TypeSystem.isStruct(type)) return formatStructValue(memoryManager, addr, type);
+        const v = memoryManager.read(addr, type);
+        return v === null ? '?' : formatScalarValue(memoryManager, v, type);
+    };
+    const parts = layout.fields.map(field => {
+        const fieldAddr = address + field.offset;
+        if (field.isArray) {
+            const values = [];
+            for (let i = 0; i < field.totalLength; i++) values.push(formatElement(fieldAddr + (i * field.byteSize), field.type));
+            return `${field.name}: [${values.join(', ')}]`;
+        }
+        return `${field.name}: ${formatElement(fieldAddr, field.type)}`;
+    });
+    return `{${parts.join(', ')}}`;
+}
+
+/**
+ * Render the fields of a struct as labeled boxes, showing the padding bytes between them
+ * @param {MemoryManager} memoryManager - The memory to read from
+ * @param {number} startAddress - Start address of the struct
+ * @param {Object} meta - Allocation metadata (fields and byteSize)
+ * @returns {string} HTML for the struct layout
+ */
+function renderStructFields(memoryManager, startAddress, meta) {
+    if (meta.isUnion) return renderUnionStorage(memoryManager, startAddress, meta);
+    let html = `<div class="struct-container">`;
+    let end = 0;
+    const paddingCell = (bytes) => `<div class="struct-padding" title="Bytes de alinhamento (padding)">padding<span class="struct-field-info">${bytes} byte(s)</span></div>`;
+
+    meta.fields.forEach(field => {
+        if (field.offset > end) html += paddingCell(field.offset - end);
+        const addr = startAddress + field.offset;
+        html += `<div class="struct-field" title="RAM: ${addr}"><span class="struct-field-name">.${field.name}</span>${formatFieldValue(memoryManager, addr, field)}<span class="struct-field-info">${describeType(field.type)} | +${field.offset}</span></div>`;
+        end = field.offset + (field.byteSize * field.totalLength);
+    });
+
+    if (meta.byteSize > end) html += paddingCell(meta.byteSize - end);
+    return html + `</div>`;
+}
+
+/**
+ * Render a union as one storage block: its raw bytes, with every member view overlaid
+ * on the bytes it occupies (so writing u.f visibly changes u.i)
+ * @param {MemoryManager} memoryManager - The memory to read from
+ * @param {number} startAddress - Start address of the union
+ * @param {Object} meta - Allocation metadata (fields and byteSize)
+ * @returns {string} HTML for the union storage
+ */
+function renderUnionStorage(memoryManager, startAddress, meta) {
+    let html = `<div class="union-container" style="grid-template-columns: repeat(${meta.byteSize}, minmax(32px, 1fr));">`;
+    for (let i = 0; i < meta.byteSize; i++) {
+        const byte = memoryManager.read(startAddress + i, CType.base('unsigned char'));
+        const display = byte === null ? '<span class="uninitialized-memory">??</span>' : byte.toString(16).toUpperCase().padStart(2, '0');
+        html += `<div class="union-byte" title="RAM: ${startAddress + i}"><span class="array-index">+${i}</span>${display}</div>`;
+    }
+    meta.fields.forEach(field => {
+        const span = field.byteSize * field.totalLength;
+        html += `<div class="union-view" style="grid-column: 1 / span ${span};" title="Bytes 0 a ${span - 1}"><span class="struct-field-name">.${field.name}</span>${formatFieldValue(memoryManager, startAddress, field)}<span class="struct-field-info">${describeType(field.type)} | ${span} bytes</span></div>`;
+    });
+    return html + `</div>`;
+}
+
+/**
+ * Display HTML for one struct/union member (scalar, array or nested struct)
+ */
+function formatFieldValue(memoryManager, addr, field) {
+    if (field.isArray) {
+        const values = [];
+        for (let i = 0; i < field.totalLength; i++) {
+            const elemAddr = addr + (i * field.byteSize);
+            const v = TypeSystem.isStruct(field.type) ? formatStructValue(memoryManager, elemAddr, field.type) : memoryManager.read(elemAddr, field.type);
+            values.push(v === null ? '?' : (TypeSystem.isStruct(field.type) ? v : formatScalarValue(memoryManager, v, field.type)));
+        }
+        return `[${values.join(', ')}]`;
+    }
+    if (TypeSystem.isStruct(field.type)) return formatStructValue(memoryManager, addr, field.type);
+    const val = memoryManager.read(addr, field.type);
+    if (val === null) return '<span class="uninitialized-memory">lixo</span>';
+    return formatScalarValue(memoryManager, val, field.type);
+}
+
 function renderMemory(memoryManager) {
     memoryVisualizer.innerHTML = '';
     if (!memoryManager || memoryManager.allocations.size === 0) return;
 
+    // Globais e locais static (.data / .bss) ficam agrupados numa região própria, antes da pilha e do heap
+    const globalsRegion = document.createElement('div');
+    globalsRegion.className = 'memory-region';
+    globalsRegion.innerHTML = '<div class="memory-region-title">🌐 Variáveis Globais e static (.data / .bss)</div>';
+
     memoryManager.allocations.forEach((meta, startAddress) => {
-        if (!meta.active) return;
+        if (!meta.active || meta.region === 'TEXT') return; // Funções só aparecem como destino de ponteiros
         const itemDiv = document.createElement('div');
         itemDiv.className = 'memory-item';
         itemDiv.style.cursor = 'pointer';
@@ -296,9 +473,21 @@ function renderMemory(memoryManager) {
         });
 
         let regionBadge = `<span class="region-badge bg-${meta.region.toLowerCase()}">${meta.region}</span>`;
+        if (meta.isStatic) {
+            // Local static: visível só dentro da função, mas fora da pilha, por isso sobrevive ao return
+            regionBadge += ` <span class="static-badge" title="Declarada com static dentro de ${meta.owner}(): é criada uma única vez e mantém o valor entre as chamadas, mesmo depois que a função retorna.">static em ${meta.owner}()</span>`;
+        }
+        if (meta.shadows !== undefined) {
+            // Mesmo nome de uma variável de fora: são dois objetos diferentes, cada um com seu endereço
+            regionBadge += ` <span class="static-badge" title="Declarada com o mesmo nome de outra variável visível (endereço ${meta.shadows}). Até o fim deste bloco, '${meta.name}' se refere a esta; a de fora continua existindo, com seu próprio valor.">esconde ${meta.name} de ${meta.shadows}</span>`;
+        }
+        if (meta.isVariadicArg) {
+            // Argumento de '...': fica no frame de quem chama e é lido com va_arg
+            regionBadge += ` <span class="static-badge" title="Argumento extra passado para '...' de ${meta.variadicOf}(). Fica no frame de quem chama e é lido em ordem com va_arg, depois das promoções (char/short → int, float → double).">extra de ${meta.variadicOf}()</span>`;
+        }
 
         if (meta.isArray) {
-            let html = `<div><strong>${meta.name}</strong> ${regionBadge} <br><span style="color:#666; font-size:0.8em;">(Dimensões: [${meta.dimensions.join('][')}] | Total: ${meta.totalLength * meta.byteSize} bytes)</span></div>`;
+            let html = `<div><strong>${meta.name}</strong> ${regionBadge} <br><span style="color:#666; font-size:0.8em;">(Tipo: ${describeType(meta.type)} | Dimensões: [${meta.dimensions.join('][')}] | Total: ${meta.totalLength * meta.byteSize} bytes)</span></div>`;
 
             if (meta.dimensions.length === 2) {
                 const rows = meta.dimensions[0]; const cols = meta.dimensions[1];
@@ -306,32 +495,43 @@ function renderMemory(memoryManager) {
                 for (let r = 0; r < rows; r++) {
                     for (let c = 0; c < cols; c++) {
                         const addr = startAddress + (((r * cols) + c) * meta.byteSize);
-                        const val = memoryManager.read(addr);
-                        let display = val === null ? '<span style="color:#f44336; font-size:0.8em;">lixo</span>' : val;
-                        if (meta.type === 'char' && val && val !== '\\0') display = `'${val}'`;
+                        let display;
+                        if (TypeSystem.isStruct(meta.type)) display = formatStructValue(memoryManager, addr, meta.type);
+                        else {
+                            const val = memoryManager.read(addr, meta.type);
+                            display = val === null ? '<span style="color:#f44336; font-size:0.8em;">lixo</span>' : formatScalarValue(memoryManager, val, meta.type);
+                        }
                         html += `<div style="background: #fff; padding: 8px; text-align: center; min-width: 45px;" title="RAM: ${addr}"><span style="display:block; font-size:0.7em; color:#888;">[${r}][${c}]</span>${display}</div>`;
                     }
                 }
                 html += `</div>`;
             } else {
                 html += `<div class="array-container">`;
+                const elementType = meta.region === 'HEAP' ? CType.base('unsigned char') : meta.type; // Blocos do malloc não têm tipo: mostra os bytes
                 for (let i = 0; i < meta.totalLength; i++) {
                     const addr = startAddress + (i * meta.byteSize);
-                    const val = memoryManager.read(addr);
-                    let display = val === null ? '<span class="uninitialized-memory">lixo</span>' : (val === '\\0' ? '<span class="null-terminator">\\0</span>' : val);
-                    if (meta.type === 'char' && val && val !== '\\0') display = `'${val}'`;
+                    let display;
+                    if (TypeSystem.isStruct(meta.type)) display = formatStructValue(memoryManager, addr, meta.type);
+                    else {
+                        const val = memoryManager.read(addr, elementType);
+                        display = val === null ? '<span class="uninitialized-memory">lixo</span>' : formatScalarValue(memoryManager, val, elementType);
+                    }
                     html += `<div class="array-cell" title="RAM: ${addr}"><span class="array-index">[${i}]</span>${display}</div>`;
                 }
                 html += `</div>`;
             }
             itemDiv.innerHTML = html;
+        } else if (meta.isStruct) {
+            itemDiv.innerHTML = `<div><strong>${meta.name}</strong> ${regionBadge} <br><span style="color:#666; font-size:0.8em;">(Tipo: ${describeType(meta.type)} | Total: ${meta.byteSize} bytes | Addr: ${startAddress})</span></div>` +
+                renderStructFields(memoryManager, startAddress, meta);
         } else {
-            const val = memoryManager.read(startAddress);
-            const display = val === null ? '<span class="uninitialized-memory">Não inic.</span>' : val;
-            itemDiv.innerHTML = `<strong>${meta.name}</strong> = ${display} ${regionBadge} <div style="font-size: 0.8em; color: #888; margin-top: 4px;">Tipo: ${meta.type} | ${meta.byteSize} bytes | Addr: ${startAddress}</div>`;
+            const val = memoryManager.read(startAddress, meta.type);
+            const display = val === null ? '<span class="uninitialized-memory">Não inic.</span>' : formatScalarValue(memoryManager, val, meta.type);
+            itemDiv.innerHTML = `<strong>${meta.name}</strong> = ${display} ${regionBadge} <div style="font-size: 0.8em; color: #888; margin-top: 4px;">Tipo: ${describeType(meta.type)} | ${meta.byteSize} bytes | Addr: ${startAddress}</div>`;
         }
-        memoryVisualizer.appendChild(itemDiv);
+        (meta.region === 'DATA' || meta.region === 'BSS' ? globalsRegion : memoryVisualizer).appendChild(itemDiv);
     });
+    if (globalsRegion.children.length > 1) memoryVisualizer.prepend(globalsRegion);
 }
 
 function enterExecutionMode(source) {
@@ -375,13 +575,16 @@ function updateWatchPanel(memoryManager) {
                 if (meta.isArray) {
                     const values = [];
                     for (let i = 0; i < Math.min(meta.totalLength, 5); i++) {
-                        const v = memoryManager.read(addr + (i * meta.byteSize));
-                        values.push(v === null ? '?' : v);
+                        if (TypeSystem.isStruct(meta.type)) { values.push(formatStructValue(memoryManager, addr + (i * meta.byteSize), meta.type)); continue; }
+                        const v = memoryManager.read(addr + (i * meta.byteSize), meta.type);
+                        values.push(v === null ? '?' : formatScalarValue(memoryManager, v, meta.type));
                     }
                     value = `[${values.join(', ')}${meta.totalLength > 5 ? ', ...' : ''}]`;
+                } else if (meta.isStruct) {
+                    value = formatStructValue(memoryManager, addr, meta.type);
                 } else {
-                    const v = memoryManager.read(addr);
-                    value = v === null ? 'não inicializada' : v;
+                    const v = memoryManager.read(addr, meta.type);
+                    value = v === null ? 'não inicializada' : formatScalarValue(memoryManager, v, meta.type);
                 }
             }
         });
@@ -494,7 +697,7 @@ function createASTNode(node, path) {
             if (key === 'type' || key === 'line') return;
 
             const value = node[key];
-            if (value && typeof value === 'object') {
+            if (value && typeof value === 'object' && !(value instanceof CType)) {
                 const propHeader = document.createElement('div');
                 propHeader.style.marginTop = '5px';
                 propHeader.innerHTML = `<span class="ast-property">${key}:</span>`;
@@ -512,7 +715,7 @@ function createASTNode(node, path) {
             } else if (value !== null && value !== undefined) {
                 const propDiv = document.createElement('div');
                 propDiv.style.marginLeft = '20px';
-                propDiv.innerHTML = `<span class="ast-property">${key}:</span> <span class="ast-value">${JSON.stringify(value)}</span>`;
+                propDiv.innerHTML = `<span class="ast-property">${key}:</span> <span class="ast-value">${value instanceof CType ? value : JSON.stringify(value)}</span>`;
                 childrenDiv.appendChild(propDiv);
             }
         });
@@ -537,7 +740,7 @@ function hasASTChildren(node) {
     return Object.keys(node).some(key => {
         if (key === 'type' || key === 'line') return false;
         const value = node[key];
-        return value && typeof value === 'object';
+        return value && typeof value === 'object' && !(value instanceof CType); // Tipos aparecem como texto ("int *")
     });
 }
 
@@ -549,6 +752,11 @@ function getNodeDetails(node) {
 
     if (node.name) details.push(`<span class="ast-value">"${node.name}"</span>`);
     if (node.operator) details.push(`<span class="ast-value">op: ${node.operator}</span>`);
+    if (node.property) details.push(`<span class="ast-value">.${node.property}</span>`);
+    if (node.tag) details.push(`<span class="ast-property">${node.kind} ${node.tag}</span>`);
+    if (node.label) details.push(`<span class="ast-value">${node.label}:</span>`);
+    if (node.type === 'SwitchCase' && node.test === null) details.push(`<span class="ast-property">default</span>`);
+    if (node.aliasedType) details.push(`<span class="ast-property">= ${node.aliasedType}</span>`);
     if (node.value !== undefined && node.type === 'Literal') {
         details.push(`<span class="ast-value">= ${JSON.stringify(node.value)}</span>`);
     }